@@ -1,4 +1,29 @@
-// ===== SeeScan v8.5.1 - Smart Loading Protection =====
+// ===== SeeScan v9.20.0 - Route-Aware Caching =====
+// v9.20.0: Service worker caches by route - app shell stale-while-revalidate from a hashed precache manifest, images cache-first with size limits, last config served when the backend is down
+// v9.19.0: New versions wait for an idle scanner and an empty queue - update banner, version and build date in the footer
+// v9.18.0: Heartbeat every 5 minutes - battery, network, map, send failures, queue depth, last good scan, operator/station, app version
+// v9.17.0: PIN-protected ⚙ Settings - retries, timeouts, offline threshold, retention and fallback lists per tablet, JSON profile export/import
+// v9.16.0: Backend adapters (Apps Script, REST/JSON) with the endpoint picked under ⚙ Backend - local mock server for bench tests
+// v9.15.0: Correction notes saved locally, queued like scans, tied to scan_id - history shows each note's sync state
+// v9.14.0: Scans can be voided with a reason code (optional supervisor PIN) - VOID sent to the sheet, excluded from totals
+// v9.13.0: Filtered history exports to CSV / JSON and prints a per-part summary - no sheet needed
+// v9.12.0: History moved to IndexedDB with configurable retention - search, filters and virtualized list
+// v9.11.0: Local index of logged part+serial pairs - instant DUPLICATE (offline too), confirmed with the server in the background
+// v9.10.0: Receiving manifest (CSV/JSON import or fetch by PO) - scans checked off, missing/extra serials reported on close
+// v9.9.0: Work order batch mode - per-part progress, WRONG_PART blocked, overage warning, missing serials on close
+// v9.8.0: Explicit shifts - every scan tagged with shift_id, history kept per shift, end-of-shift summary sent to the sheet
+// v9.7.0: Operators sign in with badge scan or PIN, supervisor PIN to change operator/station, idle sessions expire
+// v9.6.0: SHARED_SECRET removed - each tablet is approved once and authenticates with its own revocable token
+// v9.5.0: Versioned config sync - polls for deltas on wake and every 5 minutes, applies map/operator/station changes live
+// v9.4.0: Part Number Map, operators and stations cached locally - app starts from cache, refreshes in background
+// v9.3.0: 📷 camera scanning via BarcodeDetector, bundled ZXing fallback for Code 128 / DataMatrix
+// v9.2.0: Spec-compliant HIBC decoder - split/concatenated labels, mod-43 check verified (BAD_CHECK), part = PCN
+// v9.1.0: Lot, expiry and manufacture date captured from GS1/HIBC, logged with each scan, expiry warning
+// v9.0.0: Table-driven GS1 AI decoder - GS/FNC1 separators kept, AIs in any order, GTIN check digit validated
+// v8.9.0: parsePN_SN split into named parsers in barcode-parsers.js - matched parser is sent with each scan
+// v8.8.0: Every scan carries a UUID scan_id and device_id - retries and replays reuse it so they can't double-write
+// v8.7.0: Service worker now delivers queued scans via Background Sync, even with the tab closed
+// v8.6.0: Scans that can't be sent are stored in an IndexedDB queue and replayed in order when back online
 // v8.5.1: Scan field now locked until Part Number Map loads - prevents UNKNOWN entries from premature scanning
 // v8.5.0: Operators and Stations now managed via Google Sheet CONFIG tab - clients can add/remove without code updates
 // v8.4.3: Fixed edge case where serials without end caps had last digit incorrectly stripped - now uses trailing digit count (6+ = check digit, ≤5 = keep all)
@@ -12,67 +37,328 @@
 // v8.2.4: Final offline fixes, battery status improvements
 // v8.2.0: Added timestamps with relative time, DD/MM/YY format, wake-from-sleep connectivity fix
 
-const ENDPOINT = 'https://script.google.com/macros/s/AKfycbyZio2iE1piL2hczpUgDx26EBn0_NxAj5o9vlFG6a8JoRD9lDu-B7VOH903_ArWaF4t/exec'; 
+// Backend adapter and endpoint, chosen per tablet under ⚙ Settings - see backend-adapters.js
+const BACKEND_SETTINGS_KEY = 'backendSettings';
 
-const SHARED_SECRET = 'qk92X3vE7LrT8c59H1zUM4Bn0ySDFwGp';
+function loadBackendSettings() {
+  try {
+    const settings = JSON.parse(localStorage.getItem(BACKEND_SETTINGS_KEY));
+    if (settings && settings.endpoint && BACKEND_ADAPTERS[settings.adapter]) return settings;
+  } catch {}
+  return { adapter: DEFAULT_BACKEND_ADAPTER, endpoint: DEFAULT_ENDPOINT };
+}
+
+// Fixed for the life of the page - saving new settings reloads it
+const backendSettings = loadBackendSettings();
+const ENDPOINT = backendSettings.endpoint;
+const backend = getBackendAdapter(backendSettings.adapter);
+
+// Per-device settings, edited under ⚙ Settings and copied between tablets as a JSON profile.
+// Where the CONFIG tab has a say it still wins: the history retention here and the fallback
+// lists only apply until the sheet provides its own.
+const DEVICE_SETTINGS_KEY = 'deviceSettings';
+// [default, min, max] - whole numbers
+const DEVICE_SETTING_RANGES = {
+  maxRetries: [2, 0, 5], // Extra attempts per send before a scan is queued
+  sendTimeoutSeconds: [25, 5, 120], // Per request to the backend
+  safetyUnlockSeconds: [35, 10, 600], // Scanner forced unlocked if a scan is still processing
+  maxFailuresBeforeOffline: [3, 1, 20], // Consecutive failed sends before the tablet shows OFFLINE
+  historyRetentionDays: [30, 1, 365] // Until the CONFIG tab sets history_retention_days
+};
+const DEFAULT_FALLBACK_OPERATORS = [
+  'Grace', 'Debbie', 'Evis', 'Laura', 'Mercedes', 'Brenda', 'Amanda',
+  'Sarah', 'Faye', 'Karisha', 'Maria G', 'Kiara', 'Maria L', 'Kathy',
+  'Althea', 'Stephanie', 'Chip (TESTING)'
+];
+const DEFAULT_FALLBACK_STATIONS = [
+  'MAIN', 'OP1', 'OP2', 'OP3', 'OP4', 'OP5', 'OP6', 'OP7', 'OP8',
+  'OP9', 'OP10', 'OP11', 'OP12', 'OP13', 'OP14', 'OP15', 'OP16',
+  'OP17', 'OP18', 'OP19', 'OP20', 'Testing'
+];
+
+function normalizeNameList(list, fallback, label) {
+  if (list === undefined) return [...fallback];
+  if (!Array.isArray(list)) throw new Error(`${label} must be a list of names`);
+  const names = [...new Set(list.map(name => String(name).trim()).filter(Boolean))];
+  if (!names.length) throw new Error(`${label} needs at least one name`);
+  return names;
+}
+
+/**
+ * Validates saved, entered or imported settings into a complete settings object.
+ * Missing values take their defaults; a bad value throws an Error saying which one.
+ */
+function normalizeDeviceSettings(raw = {}) {
+  const settings = {};
+  Object.entries(DEVICE_SETTING_RANGES).forEach(([key, [fallback, min, max]]) => {
+    const value = raw[key] === undefined || raw[key] === '' ? fallback : Number(raw[key]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw new Error(`${key} must be a whole number from ${min} to ${max}`);
+    }
+    settings[key] = value;
+  });
+  if (settings.safetyUnlockSeconds <= settings.sendTimeoutSeconds) {
+    throw new Error('safetyUnlockSeconds must be longer than sendTimeoutSeconds');
+  }
+  settings.fallbackOperators = normalizeNameList(raw.fallbackOperators, DEFAULT_FALLBACK_OPERATORS, 'fallbackOperators');
+  settings.fallbackStations = normalizeNameList(raw.fallbackStations, DEFAULT_FALLBACK_STATIONS, 'fallbackStations');
+
+  // { pin_salt, pin_iterations, pin_hash } like a CONFIG operator (see checkPin), or null.
+  // Settings saved before PINs were salted hold a bare SHA-256 adminPinHash instead.
+  const adminPin = raw.adminPin || (raw.adminPinHash ? { pin_hash: raw.adminPinHash } : null);
+  if (adminPin && !/^[0-9a-f]{64}$/.test(adminPin.pin_hash)) throw new Error('Admin PIN hash is not 64 hex characters');
+  settings.adminPin = adminPin;
+  return settings;
+}
+
+function loadDeviceSettings() {
+  try {
+    return normalizeDeviceSettings(JSON.parse(localStorage.getItem(DEVICE_SETTINGS_KEY)) || {});
+  } catch (err) {
+    console.warn('⚠️ Saved device settings unusable, using defaults:', err.message);
+    return normalizeDeviceSettings();
+  }
+}
+
+// Also fixed for the life of the page - saving settings reloads it
+const deviceSettings = loadDeviceSettings();
+const SEND_TIMEOUT = deviceSettings.sendTimeoutSeconds * 1000;
+
+// Set from IndexedDB in initApp - { deviceId, token }. See DEVICE ENROLLMENT below.
+let deviceCredentials = null;
 
 let PART_NUMBER_MAP = {};
 let OPERATORS_LIST = [];
 let STATIONS_LIST = [];
+let EXPIRY_WARNING_DAYS = 30; // Warn when a unit expires within this many days (CONFIG tab: expiry_warning_days)
+let HISTORY_RETENTION_DAYS = deviceSettings.historyRetentionDays; // Scan history kept on the tablet (CONFIG tab: history_retention_days)
+let VOID_REASONS = ['Mis-scan', 'Wrong part', 'Returned', 'Damaged']; // CONFIG tab: void_reasons
+let VOID_REQUIRES_SUPERVISOR = false; // CONFIG tab: void_requires_supervisor
+let SESSION_IDLE_MINUTES = 20; // Operator is signed out after this long without activity (CONFIG tab: session_idle_minutes, 0 = never)
+
+// Last good config, so the app can start scanning when the endpoint is slow or unreachable
+const CONFIG_CACHE_KEY = 'configCache';
+const MAP_STALE_AFTER = 24 * 60 * 60 * 1000; // Map badge turns amber after 24 hours without a refresh
+let configVersion = null;
+let configFetchedAt = null;
+
+/**
+ * Applies a config payload (live or cached) to PART_NUMBER_MAP, OPERATORS_LIST, STATIONS_LIST,
+ * EXPIRY_WARNING_DAYS, SESSION_IDLE_MINUTES, HISTORY_RETENTION_DAYS and the void settings. Returns true if it contained a usable Part Number Map.
+ */
+function applyConfigData(data) {
+  let mapLoaded = false;
+
+  // Load Part Number Map
+  if (data.part_map) {
+    PART_NUMBER_MAP = data.part_map;
+    const mapSize = Object.keys(PART_NUMBER_MAP).length;
+    console.log(`✅ Part Number Map loaded successfully: ${mapSize} entries`);
+
+    // Log first 3 entries for verification (helpful for debugging)
+    if (mapSize > 0) {
+      const sampleEntries = Object.entries(PART_NUMBER_MAP).slice(0, 3);
+      console.log('📋 Sample entries:', sampleEntries);
+      mapLoaded = true;
+    } else {
+      console.warn('⚠️ Part Number Map is empty. Check PART_MAP sheet in Google Sheets.');
+    }
+  }
+
+  // Load Operators
+  if (data.operators && Array.isArray(data.operators)) {
+    OPERATORS_LIST = data.operators;
+    console.log(`✅ Operators loaded: ${OPERATORS_LIST.length} entries`);
+  } else {
+    console.warn('⚠️ No operators data received. Using hardcoded fallback.');
+  }
+
+  // Load Stations
+  if (data.stations && Array.isArray(data.stations)) {
+    STATIONS_LIST = data.stations;
+    console.log(`✅ Stations loaded: ${STATIONS_LIST.length} entries`);
+  } else {
+    console.warn('⚠️ No stations data received. Using hardcoded fallback.');
+  }
+
+  // Load expiry warning window
+  const warningDays = data.expiry_warning_days;
+  if (warningDays !== undefined && warningDays !== null && warningDays !== '' && Number.isFinite(Number(warningDays))) {
+    EXPIRY_WARNING_DAYS = Number(warningDays);
+    console.log(`✅ Expiry warning window: ${EXPIRY_WARNING_DAYS} days`);
+  }
+
+  // Load sign-in idle timeout
+  const idleMinutes = data.session_idle_minutes;
+  if (idleMinutes !== undefined && idleMinutes !== null && idleMinutes !== '' && Number.isFinite(Number(idleMinutes))) {
+    SESSION_IDLE_MINUTES = Number(idleMinutes);
+    console.log(`✅ Operator session idle timeout: ${SESSION_IDLE_MINUTES || 'off'}${SESSION_IDLE_MINUTES ? ' minutes' : ''}`);
+  }
+
+  // Load history retention
+  const retentionDays = data.history_retention_days;
+  if (retentionDays !== undefined && retentionDays !== null && retentionDays !== '' && Number(retentionDays) > 0) {
+    HISTORY_RETENTION_DAYS = Number(retentionDays);
+    console.log(`✅ History retention: ${HISTORY_RETENTION_DAYS} days`);
+  }
+
+  // Load void reason codes
+  if (Array.isArray(data.void_reasons) && data.void_reasons.length > 0) {
+    VOID_REASONS = data.void_reasons;
+    console.log(`✅ Void reasons loaded: ${VOID_REASONS.length} entries`);
+  }
+  if (data.void_requires_supervisor !== undefined && data.void_requires_supervisor !== null && data.void_requires_supervisor !== '') {
+    VOID_REQUIRES_SUPERVISOR = data.void_requires_supervisor === true || String(data.void_requires_supervisor).toUpperCase() === 'TRUE';
+  }
+
+  return mapLoaded;
+}
+
+// FNV-1a - versions the cached config when the server doesn't send a version of its own
+function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+function saveConfigCache(data) {
+  const config = {
+    part_map: data.part_map,
+    operators: data.operators,
+    stations: data.stations,
+    expiry_warning_days: data.expiry_warning_days,
+    session_idle_minutes: data.session_idle_minutes,
+    history_retention_days: data.history_retention_days,
+    void_reasons: data.void_reasons,
+    void_requires_supervisor: data.void_requires_supervisor
+  };
+  const cache = {
+    version: data.version ? String(data.version) : hashString(JSON.stringify(config)),
+    // A config the service worker answered from its cache keeps the age it had when fetched
+    fetchedAt: data.cached_at || new Date().toISOString(),
+    data: config
+  };
+
+  try {
+    localStorage.setItem(CONFIG_CACHE_KEY, JSON.stringify(cache));
+  } catch (e) {
+    console.warn('⚠️ Could not cache config locally:', e);
+  }
+  return cache;
+}
+
+// No change on the server - the cached config is current as of now
+function touchConfigCache() {
+  const cache = loadConfigCache();
+  if (!cache) return;
+  cache.fetchedAt = new Date().toISOString();
+  try {
+    localStorage.setItem(CONFIG_CACHE_KEY, JSON.stringify(cache));
+  } catch (e) {}
+  configFetchedAt = cache.fetchedAt;
+  updateMapStatus();
+}
+
+/**
+ * Applies a delta response on top of the cached config.
+ * part_map holds added/changed entries, part_map_removed the keys to drop;
+ * operators, stations and the CONFIG settings are replaced when present.
+ * Returns null if there's no cached config to apply it to.
+ */
+function mergeConfigDelta(cache, delta) {
+  if (!cache) return null;
+  const base = cache.data;
+  const partMap = { ...base.part_map, ...(delta.part_map || {}) };
+  (delta.part_map_removed || []).forEach(key => delete partMap[key]);
+
+  return {
+    version: delta.version,
+    part_map: partMap,
+    operators: Array.isArray(delta.operators) ? delta.operators : base.operators,
+    stations: Array.isArray(delta.stations) ? delta.stations : base.stations,
+    expiry_warning_days: delta.expiry_warning_days !== undefined ? delta.expiry_warning_days : base.expiry_warning_days,
+    session_idle_minutes: delta.session_idle_minutes !== undefined ? delta.session_idle_minutes : base.session_idle_minutes,
+    history_retention_days: delta.history_retention_days !== undefined ? delta.history_retention_days : base.history_retention_days,
+    void_reasons: Array.isArray(delta.void_reasons) ? delta.void_reasons : base.void_reasons,
+    void_requires_supervisor: delta.void_requires_supervisor !== undefined ? delta.void_requires_supervisor : base.void_requires_supervisor
+  };
+}
+
+function loadConfigCache() {
+  try {
+    const cache = JSON.parse(localStorage.getItem(CONFIG_CACHE_KEY));
+    return cache && cache.data ? cache : null;
+  } catch {
+    return null;
+  }
+}
+
+// Map age badge in the header, next to #netStatus
+function updateMapStatus() {
+  const el = document.getElementById('mapStatus');
+  if (!el) return;
+
+  if (!configFetchedAt) {
+    el.textContent = 'NO MAP';
+    el.style.background = '#ef4444';
+    el.title = '';
+    return;
+  }
+
+  const age = Date.now() - new Date(configFetchedAt).getTime();
+  el.textContent = `MAP ${getRelativeTime(configFetchedAt)}`;
+  el.style.background = age > MAP_STALE_AFTER ? '#f59e0b' : '#6b7280';
+  el.title = `Map version ${configVersion} - fetched ${formatTimestamp(configFetchedAt)}`;
+}
 
 /**
- * Fetches the Part Number Map, Operators, and Stations from the Google Sheet via the Apps Script doGet endpoint.
+ * Fetches the Part Number Map, Operators, and Stations from the backend (the Google Sheet, via the Apps Script adapter).
  * Returns a Promise that resolves with true if map loaded successfully, false otherwise.
+ * Once we hold a versioned map we send it as ?since= and the server answers NOT_MODIFIED,
+ * a delta (delta: true) or the full config. A successful load is cached locally for offline startup.
  * Enhanced with detailed logging to help diagnose any loading issues.
  */
 async function fetchPartNumberMap() {
   try {
-    console.log('🔄 Fetching Part Number Map and Config from Google Sheet...');
-    const res = await fetch(ENDPOINT + '?getMap=true', {
-      method: 'GET',
-      cache: 'no-cache'
-    });
+    const since = configVersion && Object.keys(PART_NUMBER_MAP).length > 0 ? configVersion : null;
+    console.log(`🔄 Fetching Part Number Map and Config from Google Sheet${since ? ` (have v${since})` : ''}...`);
+    const data = await backend.fetchConfig(ENDPOINT, { since }, deviceCredentials, SEND_TIMEOUT);
 
-    if (!res.ok) {
-      console.error('❌ Server returned error status:', res.status, res.statusText);
+    if (data.status === 'UNAUTHORIZED') {
+      console.error('❌ Config fetch rejected - device not authorized');
+      handleUnauthorized();
       return false;
     }
 
-    const data = await res.json();
+    if (data.status === 'NOT_MODIFIED') {
+      console.log(`✅ Config up to date (v${configVersion})`);
+      touchConfigCache();
+      return true;
+    }
 
     if (data.status === 'OK') {
-      let mapLoaded = false;
-
-      // Load Part Number Map
-      if (data.part_map) {
-        PART_NUMBER_MAP = data.part_map;
-        const mapSize = Object.keys(PART_NUMBER_MAP).length;
-        console.log(`✅ Part Number Map loaded successfully: ${mapSize} entries`);
-
-        // Log first 3 entries for verification (helpful for debugging)
-        if (mapSize > 0) {
-          const sampleEntries = Object.entries(PART_NUMBER_MAP).slice(0, 3);
-          console.log('📋 Sample entries:', sampleEntries);
-          mapLoaded = true;
-        } else {
-          console.warn('⚠️ Part Number Map is empty. Check PART_MAP sheet in Google Sheets.');
+      if (data.cached_at) console.warn(`⚠️ Backend unreachable - using the config cached by the service worker (${formatTimestamp(data.cached_at)})`);
+      let config = data;
+      if (data.delta) {
+        config = mergeConfigDelta(loadConfigCache(), data);
+        if (!config) {
+          // Nothing cached to apply the delta to - ask for the whole config
+          configVersion = null;
+          return fetchPartNumberMap();
         }
+        console.log(`✅ Config delta v${since} → v${data.version}: ${Object.keys(data.part_map || {}).length} changed, ${(data.part_map_removed || []).length} removed`);
       }
 
-      // Load Operators
-      if (data.operators && Array.isArray(data.operators)) {
-        OPERATORS_LIST = data.operators;
-        console.log(`✅ Operators loaded: ${OPERATORS_LIST.length} entries`);
-      } else {
-        console.warn('⚠️ No operators data received. Using hardcoded fallback.');
-      }
+      const mapLoaded = applyConfigData(config);
 
-      // Load Stations
-      if (data.stations && Array.isArray(data.stations)) {
-        STATIONS_LIST = data.stations;
-        console.log(`✅ Stations loaded: ${STATIONS_LIST.length} entries`);
-      } else {
-        console.warn('⚠️ No stations data received. Using hardcoded fallback.');
+      if (mapLoaded) {
+        const cache = saveConfigCache(config);
+        configVersion = cache.version;
+        configFetchedAt = cache.fetchedAt;
+        updateMapStatus();
       }
 
       return mapLoaded;
@@ -82,6 +368,10 @@ async function fetchPartNumberMap() {
       return false;
     }
   } catch (error) {
+    if (error.name === 'BackendError') {
+      console.error('❌ Config fetch failed:', error.message);
+      return false;
+    }
     console.error('❌ Network error during config fetch:', error);
     console.warn('⚠️ App will continue with fallback values. Check internet connection.');
     return false;
@@ -96,16 +386,13 @@ function populateOperators() {
   const operatorSelect = $('#operator');
   if (!operatorSelect) return;
 
-  // Fallback list if Google Sheet data is not available
-  const fallbackOperators = [
-    'Grace', 'Debbie', 'Evis', 'Laura', 'Mercedes', 'Brenda', 'Amanda',
-    'Sarah', 'Faye', 'Karisha', 'Maria G', 'Kiara', 'Maria L', 'Kathy',
-    'Althea', 'Stephanie', 'Chip (TESTING)'
-  ];
-
-  const operatorsList = OPERATORS_LIST.length > 0 ? OPERATORS_LIST : fallbackOperators;
+  // This tablet's fallback list (⚙ Settings) if Google Sheet data is not available
+  const operatorsList = (OPERATORS_LIST.length > 0 ? OPERATORS_LIST : deviceSettings.fallbackOperators).map(getOperatorName);
   const currentValue = operatorSelect.value;
 
+  // A live config update must not kick a locked operator out, even if they've been removed from the list
+  if (isLocked && currentValue && !operatorsList.includes(currentValue)) operatorsList.push(currentValue);
+
   // Clear existing options except the placeholder
   operatorSelect.innerHTML = '<option value="" disabled selected>Select Operator</option>';
 
@@ -133,16 +420,13 @@ function populateStations() {
   const stationSelect = $('#station');
   if (!stationSelect) return;
 
-  // Fallback list if Google Sheet data is not available
-  const fallbackStations = [
-    'MAIN', 'OP1', 'OP2', 'OP3', 'OP4', 'OP5', 'OP6', 'OP7', 'OP8',
-    'OP9', 'OP10', 'OP11', 'OP12', 'OP13', 'OP14', 'OP15', 'OP16',
-    'OP17', 'OP18', 'OP19', 'OP20', 'Testing'
-  ];
-
-  const stationsList = STATIONS_LIST.length > 0 ? STATIONS_LIST : fallbackStations;
+  // This tablet's fallback list (⚙ Settings) if Google Sheet data is not available
+  const stationsList = [...(STATIONS_LIST.length > 0 ? STATIONS_LIST : deviceSettings.fallbackStations)];
   const currentValue = stationSelect.value;
 
+  // Same for a locked station
+  if (isLocked && currentValue && !stationsList.includes(currentValue)) stationsList.push(currentValue);
+
   // Clear existing options
   stationSelect.innerHTML = '';
 
@@ -180,6 +464,12 @@ function formatTimestamp(date) {
   return `${dateStr} ${timeStr}`;
 }
 
+// Parses YYYY-MM-DD as a local date (new Date('YYYY-MM-DD') would be UTC midnight)
+function parseISODate(iso) {
+  const [y, m, d] = iso.split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
 function getRelativeTime(date) {
   const now = new Date();
   const then = new Date(date);
@@ -198,6 +488,26 @@ function getRelativeTime(date) {
 }
 
 // ===== HELPERS =====
+function generateUUID() {
+  if (crypto.randomUUID) return crypto.randomUUID();
+  // RFC 4122 v4 fallback for older WebViews
+  const b = crypto.getRandomValues(new Uint8Array(16));
+  b[6] = (b[6] & 0x0f) | 0x40;
+  b[8] = (b[8] & 0x3f) | 0x80;
+  const hex = Array.from(b, x => x.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+// Stable per-install ID so the sheet can tell which tablet logged a row
+function getDeviceId() {
+  let id = localStorage.getItem('deviceId');
+  if (!id) {
+    id = generateUUID();
+    localStorage.setItem('deviceId', id);
+  }
+  return id;
+}
+
 let audioUnlocked = false;
 function unlockAudioOnFirstTap() {
   if (audioUnlocked) return;
@@ -215,6 +525,7 @@ const historyToggle = $('#historyToggle'), historyPanel = $('#historyPanel');
 const lastScanStatus = $('#lastScanStatus');
 const lastScanTime = $('#lastScanTime');
 const lastScanRelative = $('#lastScanRelative');
+const lastScanMeta = $('#lastScanMeta');
 const lockBtn = $('#lockBtn'), unlockBtn = $('#unlockBtn')
 const correctionModal = $('#correctionModal');
 const modalContext = $('#modalContext');
@@ -257,6 +568,21 @@ function playSoundDuplicate() {
   setTimeout(() => { document.body.style.backgroundColor = ''; }, 300);
 }
 
+function playSoundQueued() { 
+  playBeep(660, 'triangle'); 
+  document.body.style.transition = 'background-color 0.3s';
+  document.body.style.backgroundColor = '#2563eb';
+  setTimeout(() => { document.body.style.backgroundColor = ''; }, 300);
+}
+
+function playSoundExpiry() { 
+  playBeep(330, 'square'); 
+  setTimeout(() => playBeep(330, 'square'), 180);
+  document.body.style.transition = 'background-color 0.3s';
+  document.body.style.backgroundColor = '#f97316';
+  setTimeout(() => { document.body.style.backgroundColor = ''; }, 600);
+}
+
 function playSoundError() { 
   playBeep(220, 'sawtooth'); 
   document.body.style.transition = 'background-color 0.3s';
@@ -273,88 +599,6 @@ function show(msg, cls) {
 function savePrefs() { localStorage.setItem('operator', operatorInput.value.trim()); localStorage.setItem('station', stationSel.value); }
 function loadPrefs() { operatorInput.value = localStorage.getItem('operator') || ''; stationSel.value = localStorage.getItem('station') || 'MAIN'; }
 
-function parsePN_SN(s) {
-  const raw = String(s).toUpperCase().trim();
-
-  // GS1-128 FORMAT (Starts with 01)
-  if (raw.startsWith('01')) {
-      const prefix = raw.substring(0, 16);
-      let part = PART_NUMBER_MAP[prefix];
-      console.log(`🔍 Map lookup: ${prefix} → ${part || 'NOT FOUND'}`);
-      let remainder = raw.substring(16);
-      let serial = '';
-
-      if (remainder.startsWith('11') || remainder.startsWith('17') || remainder.startsWith('13')) {
-        remainder = remainder.substring(8);
-      }
-
-      if (remainder.startsWith('21')) {
-        serial = remainder.substring(2);
-      } else {
-        serial = remainder;
-      }
-
-      if (!part && serial) {
-          const pfrMatch = serial.match(/^(PFR[A-Z0-9]{3,10})/i); 
-          if (pfrMatch) {
-              const identifiedPartId = pfrMatch[1].toUpperCase();
-              part = identifiedPartId; 
-              serial = serial.substring(identifiedPartId.length); 
-              if (!serial) {
-                  serial = identifiedPartId; 
-              } else {
-                  serial = serial.replace(/^[^A-Z0-9]+/, ''); 
-              }
-              return { part, serial }; 
-          }
-      }
-      
-      return part ? { part, serial } : { part: 'UNKNOWN', serial };
-  }
-  
-  // HIBC FORMAT (Contains /$+)
-  if (raw.includes('/$+')) {
-    const parts = raw.split('/$+');
-    if (parts.length < 2) return { part:'', serial:'' };
-    let p = parts[0], sNum = parts[1];
-    
-    if (p.startsWith('+B')) {
-      p = p.substring(1); 
-      if (p.startsWith('B')) p = p.substring(1); 
-      if (sNum.startsWith('+')) sNum = sNum.substring(1);
-    } else {
-      if (sNum.startsWith('+')) sNum = sNum.substring(1);
-    }
-
-    if (sNum.endsWith('/')) {
-      sNum = sNum.substring(0, sNum.length - 1);
-    } else if (/[A-Z\-\.\$\+\%]$/i.test(sNum)) {
-      // Strip if ends with letter or symbol (-, ., $, +, %)
-      sNum = sNum.substring(0, sNum.length - 1);
-    } else if (sNum.match(/\d$/)) {
-      // Ends with digit - check if it's a check digit based on trailing digit count
-      // Extract trailing numeric portion
-      const trailingDigitsMatch = sNum.match(/(\d+)$/);
-      if (trailingDigitsMatch) {
-        const trailingDigits = trailingDigitsMatch[1];
-        // If 6+ digits at end, strip last digit (it's a check digit)
-        // If ≤5 digits, keep them all (part of actual serial number)
-        if (trailingDigits.length >= 6 && p !== 'P5556100') {
-          sNum = sNum.substring(0, sNum.length - 1);
-        }
-      }
-    }
-
-    if (p.startsWith('446') && p.length > 4 && (p.includes('PUL') || p.endsWith('1') || p.endsWith('0'))) {
-        p = p.substring(3, p.length - 1);
-    }
-
-    return { part: p, serial: sNum };
-  }
-
-  return { part: '', serial: '' };
-}
-
 function cleanSerialClient(rawSerial) {
   if (!rawSerial) return "";
   let cleaned = rawSerial.toString();
@@ -368,9 +612,50 @@ function getLastScanKey() {
   return `lastScan_${op}_${st}`; 
 }
 
-function saveLastScan(part, serial, status) {
+// ===== LOT / EXPIRY =====
+// Returns { state: 'EXPIRED' | 'EXPIRING', days } or null when the unit is fine
+function getExpiryWarning(expiry) {
+  if (!expiry) return null;
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const days = Math.round((parseISODate(expiry) - today) / 86400000);
+  if (days < 0) return { state: 'EXPIRED', days };
+  if (days <= EXPIRY_WARNING_DAYS) return { state: 'EXPIRING', days };
+  return null;
+}
+
+function getExpiryMessage(warning, expiry) {
+  if (warning.state === 'EXPIRED') return `⛔ EXPIRED ${formatDateMMDDYY(parseISODate(expiry))}`;
+  if (warning.days === 0) return '⚠️ EXPIRES TODAY';
+  return `⚠️ EXPIRES IN ${warning.days} DAY${warning.days === 1 ? '' : 'S'}`;
+}
+
+// XSS-safe lot / expiry / manufacture date line used by the Last Scan card and history
+function renderScanMeta(container, item) {
+  if (!container) return;
+  container.innerHTML = '';
+  const fields = [
+    ['Lot', item.lot],
+    ['Exp', item.expiry && formatDateMMDDYY(parseISODate(item.expiry))],
+    ['Mfg', item.prodDate && formatDateMMDDYY(parseISODate(item.prodDate))]
+  ];
+
+  fields.forEach(([label, value]) => {
+    if (!value) return;
+    const span = document.createElement('span');
+    span.textContent = `${label}: ${value}`;
+    if (label === 'Exp') {
+      const warning = getExpiryWarning(item.expiry);
+      if (warning) span.className = warning.state === 'EXPIRED' ? 'meta-expired' : 'meta-expiring';
+    }
+    container.appendChild(span);
+  });
+}
+
+function saveLastScan(part, serial, status, details = {}) {
   const key = getLastScanKey();
-  const scanData = { part, serial, status, timestamp: new Date().toISOString() };
+  const { lot = '', expiry = '', prodDate = '' } = details;
+  const scanData = { part, serial, lot, expiry, prodDate, status, timestamp: new Date().toISOString() };
   localStorage.setItem(key, JSON.stringify(scanData));
   updateLastScanDisplay(scanData);
 }
@@ -382,11 +667,13 @@ function updateLastScanDisplay(data) {
     lastScanStatus.textContent = '';
     if (lastScanTime) lastScanTime.textContent = '';
     if (lastScanRelative) lastScanRelative.textContent = '';
+    renderScanMeta(lastScanMeta, {});
     return;
   }
   
   lastPart.textContent = data.part || '—';
   lastSerial.textContent = data.serial || '—';
+  renderScanMeta(lastScanMeta, data);
   lastScanStatus.textContent = data.status || '';
   
   // Apply status styling
@@ -394,6 +681,8 @@ function updateLastScanDisplay(data) {
     lastScanStatus.style.cssText = 'background:#d1fae5; color:#065f46;';
   } else if (data.status === 'DUPLICATE') {
     lastScanStatus.style.cssText = 'background:#fef3c7; color:#92400e;';
+  } else if (data.status === 'QUEUED') {
+    lastScanStatus.style.cssText = 'background:#dbeafe; color:#1e40af;';
   } else {
     lastScanStatus.style.cssText = 'background:#fee2e2; color:#991b1b;';
   }
@@ -423,6 +712,7 @@ let relativeTimeInterval;
 function startRelativeTimeUpdates() {
   if (relativeTimeInterval) clearInterval(relativeTimeInterval);
   relativeTimeInterval = setInterval(() => {
+    updateMapStatus();
     const key = getLastScanKey();
     const stored = localStorage.getItem(key);
     if (stored && lastScanRelative) {
@@ -437,208 +727,1315 @@ function startRelativeTimeUpdates() {
 }
 startRelativeTimeUpdates();
 
-function getHistoryKey() { return `history_${operatorInput.value.trim() || 'UNNAMED'}`; }
+// ===== SHIFTS =====
+// A shift is one operator working one station: { shiftId, operator, station, startedAt, endedAt }.
+// Every scan carries its shift_id and history follows shifts, so a night shift that crosses
+// midnight keeps its scans. Ending a shift shows a summary and sends it as a SHIFT_SUMMARY record.
+const SHIFTS_KEY = 'shifts'; // Shift index, newest first
 
-function getHistory() { 
-  try { 
-    let h = JSON.parse(localStorage.getItem(getHistoryKey()) || '[]');
-    // Clear history if first item is from a different day
-    if (h.length > 0 && new Date(h[0].timestamp).toDateString() !== new Date().toDateString()) {
-      h = [];
-      localStorage.setItem(getHistoryKey(), '[]');
-    }
-    return h;
-  } catch { 
-    return []; 
-  } 
-}
-
-function addToHistory(item) {
-  const key = getHistoryKey();
-  let h = getHistory();
-  h.unshift(item);
-  if (h.length > 100) h = h.slice(0, 100);
-  localStorage.setItem(key, JSON.stringify(h));
+const shiftInfo = $('#shiftInfo');
+const shiftBtn = $('#shiftBtn');
+const shiftSummaryModal = $('#shiftSummaryModal');
+const shiftSummaryBody = $('#shiftSummaryBody');
+
+function getShifts() {
+  try {
+    return JSON.parse(localStorage.getItem(SHIFTS_KEY) || '[]');
+  } catch {
+    return [];
+  }
+}
+
+function saveShifts(shifts) { localStorage.setItem(SHIFTS_KEY, JSON.stringify(shifts)); }
+
+// The open shift for the selected operator and station, if there is one
+function getCurrentShift() {
+  const op = operatorInput.value.trim() || 'UNNAMED';
+  const st = stationSel.value || 'MAIN';
+  return getShifts().find(s => !s.endedAt && s.operator === op && s.station === st) || null;
+}
+
+// History shows the open shift, or the last one ended here so it stays visible after End Shift
+function getHistoryShift() {
+  const op = operatorInput.value.trim() || 'UNNAMED';
+  const st = stationSel.value || 'MAIN';
+  return getShifts().find(s => s.operator === op && s.station === st) || null;
+}
+
+function startShift() {
+  const shift = {
+    shiftId: generateUUID(),
+    operator: operatorInput.value.trim() || 'UNNAMED',
+    station: stationSel.value || 'MAIN',
+    startedAt: new Date().toISOString(),
+    endedAt: null
+  };
+
+  const shifts = getShifts();
+  shifts.unshift(shift);
+  saveShifts(shifts);
+  pruneOldHistory();
+  console.log(`▶️ Shift started: ${shift.operator} @ ${shift.station} (${shift.shiftId})`);
+  updateShiftBar();
   renderHistory();
+  return shift;
 }
 
-// XSS-safe history rendering with full DD/MM/YY timestamps
-function renderHistory() {
-  const h = getHistory();
-  historyPanel.innerHTML = '';
-  if (!h.length) { historyPanel.innerHTML = '<div style="padding:12px;color:#888">No scans today.</div>'; return; }
-
-  h.forEach(item => {
-    const div = document.createElement('div');
-    div.className = 'history-item';
-    let statusClass = (item.status || 'ERR').toLowerCase();
-    if (statusClass.includes('dup')) statusClass = 'dup';
-    else if (statusClass.includes('off') || statusClass.includes('err') || statusClass.includes('pend') || statusClass.includes('queue')) statusClass = 'queued';
-    else statusClass = 'ok';
-    
-    let badgeStyle = '';
-    if (statusClass === 'ok') badgeStyle = 'background:#d1fae5; color:#065f46;';
-    if (statusClass === 'dup') badgeStyle = 'background:#fef3c7; color:#92400e;';
-    if (statusClass === 'queued') badgeStyle = 'background:#dbeafe; color:#1e40af;';
-
-    const partCol = document.createElement('div');
-    partCol.className = 'scan-data-col';
-    partCol.innerHTML = '<div class="data-label">Ref</div><div class="history-part-num"></div>';
-    partCol.querySelector('.history-part-num').textContent = item.part;
-    
-    const serialCol = document.createElement('div');
-    serialCol.className = 'scan-data-col';
-    serialCol.innerHTML = '<div class="data-label">Serial</div><div class="history-serial-num"></div>';
-    serialCol.querySelector('.history-serial-num').textContent = item.serial;
-    
-    const statusCol = document.createElement('div');
-    statusCol.className = 'scan-data-col';
-    statusCol.innerHTML = '<div class="data-label">Status</div><div class="history-status"></div><div class="history-time"></div>';
-    const statusEl = statusCol.querySelector('.history-status');
-    statusEl.textContent = item.status;
-    statusEl.style.cssText = badgeStyle;
-    statusCol.querySelector('.history-time').textContent = formatTimestamp(item.timestamp);
-    
-    const editBtn = document.createElement('button');
-    editBtn.className = 'history-edit-btn';
-    editBtn.textContent = '✎';
-    editBtn.dataset.part = item.part;
-    editBtn.dataset.serial = item.serial;
-    
-    div.appendChild(partCol);
-    div.appendChild(serialCol);
-    div.appendChild(statusCol);
-    div.appendChild(editBtn);
-    
-    historyPanel.appendChild(div);
+/**
+ * Totals for a shift's scans: by status, by part number and by clock hour,
+ * plus the average scan rate over the shift so far. Voided scans are only counted as voided.
+ */
+function summarizeShift(shift, allItems) {
+  const items = allItems.filter(item => !item.voided);
+  const byStatus = {};
+  const byPart = {};
+  const byHour = {};
+
+  items.forEach(item => {
+    const status = item.status || 'ERROR';
+    byStatus[status] = (byStatus[status] || 0) + 1;
+    if (item.part) byPart[item.part] = (byPart[item.part] || 0) + 1;
+
+    // Keyed by date and hour - a night shift spans two days
+    const t = new Date(item.timestamp);
+    const hour = `${t.getFullYear()}-${String(t.getMonth() + 1).padStart(2, '0')}-${String(t.getDate()).padStart(2, '0')} ${String(t.getHours()).padStart(2, '0')}:00`;
+    byHour[hour] = (byHour[hour] || 0) + 1;
   });
+
+  const end = shift.endedAt ? new Date(shift.endedAt) : new Date();
+  const hours = Math.max((end - new Date(shift.startedAt)) / 3600000, 1 / 60);
+
+  return {
+    total: items.length,
+    voided: allItems.length - items.length,
+    byStatus,
+    byPart,
+    byHour,
+    scansPerHour: Math.round((items.length / hours) * 10) / 10
+  };
 }
 
-// ===== CONNECTIVITY - SIMPLIFIED FOR MULTI-TABLET =====
-// Trust navigator.onLine as primary indicator
-// Only verify server on actual scan attempts
-let consecutiveFailures = 0;
-const MAX_FAILURES_BEFORE_OFFLINE = 3;
+async function updateShiftBar() {
+  if (!shiftInfo || !shiftBtn) return;
+  const shift = getCurrentShift();
 
-function updateNetworkStatus(online) {
-  const net = document.getElementById('netStatus');
-  const warning = document.getElementById('offlineWarning');
-  
-  if (online) {
-    consecutiveFailures = 0;
-    if (net) {
-      net.textContent = 'ONLINE';
-      net.style.background = '#10b981';
-    }
-    if (warning) warning.classList.remove('show');
-  } else {
-    if (net) {
-      net.textContent = 'OFFLINE';
-      net.style.background = '#ef4444';
-    }
-    if (warning) warning.classList.add('show');
+  if (!shift) {
+    shiftInfo.textContent = 'No shift started';
+    shiftBtn.textContent = '▶ Start Shift';
+    shiftBtn.style.background = 'var(--success)';
+    return;
   }
+
+  let count = 0;
+  try {
+    count = (await getShiftHistory(shift.shiftId)).filter(item => !item.voided).length;
+  } catch (e) {}
+  shiftInfo.textContent = `Shift since ${formatTimestamp(shift.startedAt)} · ${count} scan${count === 1 ? '' : 's'}`;
+  shiftBtn.textContent = '⏹ End Shift';
+  shiftBtn.style.background = 'var(--warning)';
 }
 
-// Listen to browser online/offline events
-window.addEventListener('online', () => {
-  console.log('Browser reports online');
-  updateNetworkStatus(true);
-});
+// XSS-safe summary rendering - part numbers come straight off labels
+function renderShiftSummary(shift, summary) {
+  shiftSummaryBody.innerHTML = '';
+
+  const addSection = (title, rows) => {
+    const heading = document.createElement('div');
+    heading.className = 'data-label';
+    heading.textContent = title;
+    shiftSummaryBody.appendChild(heading);
+
+    const list = document.createElement('div');
+    list.className = 'shift-summary-list';
+    if (!rows.length) rows = [['—', '']];
+    rows.forEach(([label, value]) => {
+      const row = document.createElement('div');
+      const labelEl = document.createElement('span');
+      const valueEl = document.createElement('strong');
+      labelEl.textContent = label;
+      valueEl.textContent = value;
+      row.appendChild(labelEl);
+      row.appendChild(valueEl);
+      list.appendChild(row);
+    });
+    shiftSummaryBody.appendChild(list);
+  };
 
-window.addEventListener('offline', () => {
-  console.log('Browser reports offline');
-  updateNetworkStatus(false);
-});
+  addSection(`${shift.operator} @ ${shift.station}`, [
+    ['Started', formatTimestamp(shift.startedAt)],
+    ['Ended', formatTimestamp(shift.endedAt)],
+    ['Total scans', summary.total],
+    ['Voided', summary.voided],
+    ['Scans per hour', summary.scansPerHour]
+  ]);
+  addSection('By status', Object.entries(summary.byStatus));
+  addSection('By part number', Object.entries(summary.byPart).sort((a, b) => b[1] - a[1]));
+  addSection('By hour', Object.entries(summary.byHour).map(([hour, n]) => [hour.slice(11) + ' ' + formatDateMMDDYY(parseISODate(hour.slice(0, 10))), n]));
+}
 
-// Lightweight connectivity check - only used on wake and manual refresh
-async function checkConnectivity() {
-  // First check browser's online status
-  if (!navigator.onLine) {
-    return false;
-  }
-  
+async function endShift() {
+  const shifts = getShifts();
+  const shift = shifts.find(s => s.shiftId === (getCurrentShift() || {}).shiftId);
+  if (!shift) return;
+
+  shift.endedAt = new Date().toISOString();
+  saveShifts(shifts);
+
+  const summary = summarizeShift(shift, await getShiftHistory(shift.shiftId));
+  console.log(`⏹️ Shift ended: ${shift.operator} @ ${shift.station} - ${summary.total} scans`);
+  renderShiftSummary(shift, summary);
+  shiftSummaryModal.style.display = 'flex';
+  updateShiftBar();
+
+  const payload = {
+    action: 'SHIFT_SUMMARY',
+    shift_id: shift.shiftId,
+    operator: shift.operator,
+    station: shift.station,
+    started_at: shift.startedAt,
+    ended_at: shift.endedAt,
+    total: summary.total,
+    by_status: summary.byStatus,
+    by_part: summary.byPart,
+    by_hour: summary.byHour,
+    scans_per_hour: summary.scansPerHour,
+    voided: summary.voided
+  };
+  await sendRecord(payload);
+}
+
+if (shiftBtn) {
+  shiftBtn.onclick = () => {
+    initAudio();
+    if (!getCurrentShift()) {
+      startShift();
+      show('▶️ Shift Started', 'ok');
+      playSoundSuccess();
+    } else if (confirm('End this shift?')) {
+      // The shift is already closed by the time the summary is read - say so if that fails
+      endShift().catch(err => {
+        console.error('Shift summary failed:', err);
+        updateShiftBar();
+        show('❌ Shift ended - summary not available', 'err');
+        playSoundError();
+      });
+    }
+  };
+}
+$('#closeShiftSummary').onclick = () => { shiftSummaryModal.style.display = 'none'; scanInput.focus(); };
+
+// ===== SCAN HISTORY =====
+// History lives in IndexedDB (scan-queue.js) for HISTORY_RETENTION_DAYS; scans from shifts that
+// are still open are never dropped. The panel shows the current shift by default, and supervisors
+// can search all history by serial or part and filter by status, station, operator and date.
+// Only the rows in view are in the DOM, so thousands of matches still scroll smoothly.
+const HISTORY_ROW_HEIGHT = 76; // px - fixed so row positions can be computed, not measured
+const HISTORY_OVERSCAN = 5; // Extra rows rendered above and below the viewport
+const HISTORY_MIGRATED_KEY = 'historyMigrated';
+
+const historyFilterBar = $('#historyFilters');
+const historyScope = $('#historyScope');
+const historySearch = $('#historySearch');
+const historyStatusFilter = $('#historyStatusFilter');
+const historyStationFilter = $('#historyStationFilter');
+const historyOperatorFilter = $('#historyOperatorFilter');
+const historyFrom = $('#historyFrom');
+const historyTo = $('#historyTo');
+const historyCount = $('#historyCount');
+
+let historyRows = [];
+let historyRenderToken = 0;
+let historyScrollFrame = null;
+let historySearchTimer = null;
+
+async function addToHistory(item) {
   try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
-    
-    const res = await fetch(ENDPOINT + '?ping=1', { 
-      method: 'GET', 
-      cache: 'no-cache',
-      signal: controller.signal 
+    await putHistoryItem({
+      operator: operatorInput.value.trim() || 'UNNAMED',
+      station: stationSel.value || 'MAIN',
+      ...item,
+      timestamp: new Date(item.timestamp).toISOString()
     });
-    
-    clearTimeout(timeoutId);
-    return res.ok;
-  } catch {
-    // Don't immediately mark offline - might just be slow
-    return navigator.onLine; // Trust browser if server check fails
+  } catch (err) {
+    console.error('History save failed:', err);
   }
+  renderHistory();
+  updateShiftBar();
 }
 
-// === Send Function with Retry ===
-async function send(payload, retryCount = 0) {
-  const MAX_RETRIES = 2;
-  
+// Updates the status of a queued scan in history once the queue delivers it
+async function updateHistoryStatus(scanId, status) {
+  if (!scanId) return;
   try {
-    const res = await fetch(ENDPOINT, {
-      method: 'POST',
-      redirect: 'follow',
-      body: JSON.stringify(payload),
-      cache: 'no-cache',
-      signal: AbortSignal.timeout(25000) // 25 second timeout
-    });
+    const item = await getHistoryItem(scanId);
+    if (!item) return;
+    // A voided scan keeps its delivery status underneath
+    item.status = status;
+    await putHistoryItem(item);
+    renderHistory();
+  } catch (e) {}
+}
 
-    if (!res.ok) {
-      if (retryCount < MAX_RETRIES) {
-        console.log(`Server error, retry ${retryCount + 1}/${MAX_RETRIES}...`);
-        await new Promise(r => setTimeout(r, 1000));
-        return send(payload, retryCount + 1);
-      }
-      consecutiveFailures++;
-      if (consecutiveFailures >= MAX_FAILURES_BEFORE_OFFLINE) {
-        updateNetworkStatus(false);
-      }
-      return 'ERROR';
-    }
+// One-time move of the localStorage history (per shift, or per operator before shifts) into IndexedDB
+async function migrateLocalHistory() {
+  if (localStorage.getItem(HISTORY_MIGRATED_KEY)) return;
+  const shifts = getShifts();
+  const keys = Object.keys(localStorage).filter(key => key.startsWith('history_'));
 
-    let data = {};
-    const text = await res.text();
-    try { 
-      data = JSON.parse(text); 
-    } catch(e) { 
-      if (retryCount < MAX_RETRIES) {
-        return send(payload, retryCount + 1);
-      }
-      return 'ERROR'; 
+  for (const key of keys) {
+    const id = key.slice('history_'.length);
+    const shift = shifts.find(s => s.shiftId === id);
+    try {
+      const items = JSON.parse(localStorage.getItem(key) || '[]').map(item => ({
+        operator: shift ? shift.operator : id,
+        station: shift ? shift.station : '',
+        shiftId: '',
+        ...item,
+        scanId: item.scanId || generateUUID(),
+        timestamp: new Date(item.timestamp).toISOString()
+      }));
+      await putHistoryItems(items);
+      localStorage.removeItem(key);
+    } catch (err) {
+      console.error(`History migration failed for ${key}:`, err);
+      return;
     }
+  }
 
-    // Success - we're definitely online
-    consecutiveFailures = 0;
-    updateNetworkStatus(true);
-
-    return data.status || 'ERROR';
+  localStorage.setItem(HISTORY_MIGRATED_KEY, 'true');
+  if (keys.length) console.log(`✅ Scan history moved to IndexedDB (${keys.length} list(s))`);
+}
 
-  } catch (e) {
-    console.log(`Network error: ${e.message}, retry ${retryCount + 1}/${MAX_RETRIES}`);
+async function pruneOldHistory() {
+  const cutoff = new Date(Date.now() - HISTORY_RETENTION_DAYS * 86400000).toISOString();
+  const shifts = getShifts();
+  try {
+    await pruneHistory(cutoff, shifts.filter(s => !s.endedAt).map(s => s.shiftId));
+  } catch (err) {
+    console.error('History prune failed:', err);
+  }
+  // Closed shifts past retention have no scans left to show
+  saveShifts(shifts.filter(s => !s.endedAt || s.endedAt >= cutoff));
+}
+
+function fillFilterOptions(select, values) {
+  const current = select.value;
+  select.innerHTML = '<option value="">All</option>';
+  values.forEach(value => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = value;
+    select.appendChild(option);
+  });
+  if (values.includes(current)) select.value = current;
+}
+
+function populateHistoryFilters() {
+  fillFilterOptions(historyStationFilter, Array.from(stationSel.options, o => o.value));
+  fillFilterOptions(historyOperatorFilter, Array.from(operatorInput.options, o => o.value).filter(Boolean));
+}
+
+async function loadHistoryRows() {
+  const search = historySearch.value.trim().toUpperCase();
+  const status = historyStatusFilter.value;
+  const station = historyStationFilter.value;
+  const operator = historyOperatorFilter.value;
+  // Date inputs are local days - widen to the whole day
+  const from = historyFrom.value ? new Date(`${historyFrom.value}T00:00:00`).toISOString() : '';
+  const to = historyTo.value ? new Date(`${historyTo.value}T23:59:59.999`).toISOString() : '';
+
+  const match = item =>
+    (!search || String(item.serial || '').toUpperCase().includes(search) || String(item.part || '').toUpperCase().includes(search)) &&
+    (!status || (status === 'VOID' ? !!item.voided : item.status === status && !item.voided)) &&
+    (!station || item.station === station) &&
+    (!operator || item.operator === operator);
+
+  if (historyScope.value === 'all') return queryHistory(from, to, match);
+
+  const shift = getHistoryShift();
+  if (!shift) return [];
+  const items = await getShiftHistory(shift.shiftId);
+  return items
+    .filter(item => match(item) && (!from || item.timestamp >= from) && (!to || item.timestamp <= to))
+    .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+}
+
+// XSS-safe history row with full timestamp
+function buildHistoryRow(item) {
+  const div = document.createElement('div');
+  div.className = 'history-item';
+  let statusClass = (item.status || 'ERR').toLowerCase();
+  if (statusClass.includes('dup')) statusClass = 'dup';
+  else if (statusClass.includes('bad') || statusClass.includes('wrong') || statusClass.includes('fail')) statusClass = 'bad';
+  else if (statusClass.includes('off') || statusClass.includes('err') || statusClass.includes('pend') || statusClass.includes('queue')) statusClass = 'queued';
+  else statusClass = 'ok';
+  if (item.voided) div.classList.add('voided');
+  
+  let badgeStyle = '';
+  if (statusClass === 'ok') badgeStyle = 'background:#d1fae5; color:#065f46;';
+  if (statusClass === 'dup') badgeStyle = 'background:#fef3c7; color:#92400e;';
+  if (statusClass === 'queued') badgeStyle = 'background:#dbeafe; color:#1e40af;';
+  if (statusClass === 'bad') badgeStyle = 'background:#fee2e2; color:#991b1b;';
+
+  const partCol = document.createElement('div');
+  partCol.className = 'scan-data-col';
+  partCol.innerHTML = '<div class="data-label">Ref</div><div class="history-part-num"></div><div class="history-meta"></div>';
+  partCol.querySelector('.history-part-num').textContent = item.part;
+  // Beyond the current shift, say whose scan it was
+  const partMeta = partCol.querySelector('.history-meta');
+  if (historyScope.value === 'all') partMeta.textContent = `${item.operator} @ ${item.station}`;
+  if (item.notes && item.notes.length) partMeta.appendChild(buildNoteIndicator(item.notes));
+  
+  const serialCol = document.createElement('div');
+  serialCol.className = 'scan-data-col';
+  serialCol.innerHTML = '<div class="data-label">Serial</div><div class="history-serial-num"></div><div class="history-meta"></div>';
+  serialCol.querySelector('.history-serial-num').textContent = item.serial;
+  renderScanMeta(serialCol.querySelector('.history-meta'), item);
+  
+  const statusCol = document.createElement('div');
+  statusCol.className = 'scan-data-col';
+  statusCol.innerHTML = '<div class="data-label">Status</div><div class="history-status"></div><div class="history-time"></div>';
+  const statusEl = statusCol.querySelector('.history-status');
+  statusEl.textContent = item.voided ? 'VOID' : item.status;
+  statusEl.style.cssText = item.voided ? 'background:#e5e7eb; color:#4b5563;' : badgeStyle;
+  if (item.voided) statusEl.title = item.voided.reason;
+  statusCol.querySelector('.history-time').textContent = formatTimestamp(item.timestamp);
+  
+  const editBtn = document.createElement('button');
+  editBtn.className = 'history-edit-btn';
+  editBtn.textContent = '✎';
+  editBtn.dataset.part = item.part;
+  editBtn.dataset.serial = item.serial;
+  editBtn.dataset.scanId = item.scanId;
+  
+  div.appendChild(partCol);
+  div.appendChild(serialCol);
+  div.appendChild(statusCol);
+  // BAD_CHECK, WRONG_PART and FAILED scans were never logged as scans, so there's no row to attach a note to or void
+  if (statusClass !== 'bad') div.appendChild(editBtn);
+  if (statusClass !== 'bad' && !item.voided) {
+    const voidBtn = document.createElement('button');
+    voidBtn.className = 'history-edit-btn history-void-btn';
+    voidBtn.textContent = '🚫';
+    voidBtn.title = 'Void scan';
+    voidBtn.dataset.scanId = item.scanId;
+    div.appendChild(voidBtn);
+  }
+  return div;
+}
+
+// Renders just the rows in (or near) the viewport, absolutely positioned inside a full-height spacer
+function renderVisibleHistory() {
+  const spacer = historyPanel.querySelector('.history-spacer');
+  if (!spacer) return;
+
+  // The panel may still be animating open, so assume at least its expanded height
+  const viewHeight = Math.max(historyPanel.clientHeight, 350);
+  const first = Math.max(Math.floor(historyPanel.scrollTop / HISTORY_ROW_HEIGHT) - HISTORY_OVERSCAN, 0);
+  const last = Math.min(Math.ceil((historyPanel.scrollTop + viewHeight) / HISTORY_ROW_HEIGHT) + HISTORY_OVERSCAN, historyRows.length);
+
+  spacer.innerHTML = '';
+  for (let i = first; i < last; i++) {
+    const row = buildHistoryRow(historyRows[i]);
+    row.style.top = `${i * HISTORY_ROW_HEIGHT}px`;
+    spacer.appendChild(row);
+  }
+}
+
+async function renderHistory() {
+  if (!historyPanel.classList.contains('expanded')) return;
+  const token = ++historyRenderToken;
+
+  let rows = [];
+  try {
+    rows = await loadHistoryRows();
+  } catch (err) {
+    console.error('History load failed:', err);
+  }
+  // A newer render started while this one was reading
+  if (token !== historyRenderToken) return;
+
+  historyRows = rows;
+  historyCount.textContent = `${rows.length} scan${rows.length === 1 ? '' : 's'}`;
+  historyPanel.innerHTML = '';
+  if (!rows.length) {
+    historyPanel.innerHTML = `<div style="padding:12px;color:#888">${historyScope.value === 'all' ? 'No scans match.' : 'No scans this shift.'}</div>`;
+    return;
+  }
+
+  const spacer = document.createElement('div');
+  spacer.className = 'history-spacer';
+  spacer.style.height = `${rows.length * HISTORY_ROW_HEIGHT}px`;
+  historyPanel.appendChild(spacer);
+  renderVisibleHistory();
+}
+
+historyPanel.addEventListener('scroll', () => {
+  if (historyScrollFrame) return;
+  historyScrollFrame = requestAnimationFrame(() => {
+    historyScrollFrame = null;
+    renderVisibleHistory();
+  });
+});
+
+[historyScope, historyStatusFilter, historyStationFilter, historyOperatorFilter, historyFrom, historyTo]
+  .forEach(el => el.addEventListener('change', () => { historyPanel.scrollTop = 0; renderHistory(); }));
+historySearch.addEventListener('input', () => {
+  clearTimeout(historySearchTimer);
+  historySearchTimer = setTimeout(() => { historyPanel.scrollTop = 0; renderHistory(); }, 250);
+});
+
+// ===== HISTORY EXPORT =====
+// Exports whatever the history filters currently match, built entirely on the tablet so there's
+// a record even when the sheet is unreachable. CSV and JSON download; the summary prints.
+const HISTORY_EXPORT_COLUMNS = [
+  ['scan_id', item => item.scanId],
+  ['timestamp', item => item.timestamp],
+  ['operator', item => item.operator],
+  ['station', item => item.station],
+  ['shift_id', item => item.shiftId],
+  ['part_number', item => item.part],
+  ['serial_number', item => item.serial],
+  ['status', item => item.status],
+  ['lot', item => item.lot],
+  ['expiry_date', item => item.expiry],
+  ['manufacture_date', item => item.prodDate],
+  ['comment', item => item.comment],
+  ['void_reason', item => item.voided ? item.voided.reason : ''],
+  ['notes', item => (item.notes || []).map(n => n.text).join(' | ')]
+];
+
+function getExportFilename(ext, kind = 'history') {
+  const d = new Date();
+  const stamp = `${d.getFullYear()}${String(d.getMonth() + 1).padStart(2, '0')}${String(d.getDate()).padStart(2, '0')}-${String(d.getHours()).padStart(2, '0')}${String(d.getMinutes()).padStart(2, '0')}`;
+  return `seescan-${kind}-${stamp}.${ext}`;
+}
+
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Quoted, and leading = + - @ neutralised so a spreadsheet never runs a cell as a formula
+function csvCell(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+function exportHistoryCsv() {
+  if (!historyRows.length) return show('❌ Nothing to export', 'err');
+  const lines = [HISTORY_EXPORT_COLUMNS.map(([name]) => name).join(',')];
+  historyRows.forEach(item => lines.push(HISTORY_EXPORT_COLUMNS.map(([, get]) => csvCell(get(item))).join(',')));
+  // BOM so Excel opens it as UTF-8
+  downloadFile(getExportFilename('csv'), '\uFEFF' + lines.join('\r\n'), 'text/csv;charset=utf-8');
+  console.log(`⬇️ Exported ${historyRows.length} scan(s) to CSV`);
+}
+
+function exportHistoryJson() {
+  if (!historyRows.length) return show('❌ Nothing to export', 'err');
+  const rows = historyRows.map(item => Object.fromEntries(HISTORY_EXPORT_COLUMNS.map(([name, get]) => [name, get(item) ?? ''])));
+  const data = { exported_at: new Date().toISOString(), device_id: getDeviceId(), count: rows.length, scans: rows };
+  downloadFile(getExportFilename('json'), JSON.stringify(data, null, 2), 'application/json');
+  console.log(`⬇️ Exported ${historyRows.length} scan(s) to JSON`);
+}
+
+// Fills #printArea with a per-part summary and prints it - the print stylesheet hides the app
+function printHistorySummary() {
+  const rows = historyRows.filter(item => !item.voided);
+  if (!rows.length) return show('❌ Nothing to print', 'err');
+  const printArea = $('#printArea');
+  printArea.innerHTML = '';
+
+  const byPart = new Map();
+  rows.forEach(item => {
+    const key = item.part || 'UNKNOWN';
+    if (!byPart.has(key)) byPart.set(key, []);
+    byPart.get(key).push(item);
+  });
+
+  const times = rows.map(item => item.timestamp).sort();
+  const title = document.createElement('h2');
+  title.textContent = 'SeeScan Scan Summary';
+  const info = document.createElement('p');
+  const voided = historyRows.length - rows.length;
+  info.textContent = `${rows.length} scans · ${byPart.size} part numbers · ${formatTimestamp(times[0])} – ${formatTimestamp(times[times.length - 1])}` +
+    ` · Printed ${formatTimestamp(new Date())}` + (voided ? ` · ${voided} voided scan${voided === 1 ? '' : 's'} excluded` : '');
+  printArea.appendChild(title);
+  printArea.appendChild(info);
+
+  const table = document.createElement('table');
+  table.innerHTML = '<thead><tr><th>Part Number</th><th>Count</th><th>Status</th><th>Serials</th></tr></thead><tbody></tbody>';
+  const tbody = table.querySelector('tbody');
+  [...byPart.entries()].sort((a, b) => a[0].localeCompare(b[0])).forEach(([part, items]) => {
+    const statuses = {};
+    items.forEach(item => { statuses[item.status] = (statuses[item.status] || 0) + 1; });
+    const row = document.createElement('tr');
+    [part, items.length, Object.entries(statuses).map(([s, n]) => `${s} ${n}`).join(', '), items.map(item => item.serial).join(', ')]
+      .forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+    tbody.appendChild(row);
+  });
+  printArea.appendChild(table);
+
+  window.print();
+}
+
+$('#exportCsvBtn').onclick = exportHistoryCsv;
+$('#exportJsonBtn').onclick = exportHistoryJson;
+$('#printHistoryBtn').onclick = printHistorySummary;
+
+// ===== CONNECTIVITY - SIMPLIFIED FOR MULTI-TABLET =====
+// Trust navigator.onLine as primary indicator
+// Only verify server on actual scan attempts
+let consecutiveFailures = 0;
+let networkOnline = navigator.onLine; // What the ONLINE/OFFLINE badge shows
+const MAX_FAILURES_BEFORE_OFFLINE = deviceSettings.maxFailuresBeforeOffline;
+
+function updateNetworkStatus(online) {
+  const net = document.getElementById('netStatus');
+  const warning = document.getElementById('offlineWarning');
+  networkOnline = online;
+  
+  if (online) {
+    consecutiveFailures = 0;
+    if (net) {
+      net.textContent = 'ONLINE';
+      net.style.background = '#10b981';
+    }
+    if (warning) warning.classList.remove('show');
+  } else {
+    if (net) {
+      net.textContent = 'OFFLINE';
+      net.style.background = '#ef4444';
+    }
+    if (warning) warning.classList.add('show');
+  }
+}
+
+// Listen to browser online/offline events
+window.addEventListener('online', () => {
+  console.log('Browser reports online');
+  updateNetworkStatus(true);
+  requestQueueFlush();
+});
+
+window.addEventListener('offline', () => {
+  console.log('Browser reports offline');
+  updateNetworkStatus(false);
+});
+
+// Lightweight connectivity check - only used on wake and manual refresh
+async function checkConnectivity() {
+  // First check browser's online status
+  if (!navigator.onLine) {
+    return false;
+  }
+  
+  try {
+    return await backend.ping(ENDPOINT, 10000); // 10 second timeout
+  } catch {
+    // Don't immediately mark offline - might just be slow
+    return navigator.onLine; // Trust browser if server check fails
+  }
+}
+
+// === Send Function with Retry ===
+async function send(payload, retryCount = 0) {
+  const MAX_RETRIES = deviceSettings.maxRetries;
+
+  // Waiting on approval - don't ask the server again for every scan, just queue it
+  if (enrollmentPromise) return 'UNAUTHORIZED';
+  
+  try {
+    const data = await submitToBackend(backend, ENDPOINT, payload, deviceCredentials, SEND_TIMEOUT);
+
+    // Success - we're definitely online
+    consecutiveFailures = 0;
+    updateNetworkStatus(true);
+
+    const status = normalizeScanStatus(data);
+    if (status === 'UNAUTHORIZED') handleUnauthorized();
+    return status;
+
+  } catch (e) {
+    if (e.kind === 'HTTP') {
+      if (retryCount < MAX_RETRIES) {
+        console.log(`Server error, retry ${retryCount + 1}/${MAX_RETRIES}...`);
+        await new Promise(r => setTimeout(r, 1000));
+        return send(payload, retryCount + 1);
+      }
+      consecutiveFailures++;
+      if (consecutiveFailures >= MAX_FAILURES_BEFORE_OFFLINE) {
+        updateNetworkStatus(false);
+      }
+      return 'ERROR';
+    }
+    if (e.kind === 'PARSE') {
+      if (retryCount < MAX_RETRIES) {
+        return send(payload, retryCount + 1);
+      }
+      return 'ERROR';
+    }
+
+    console.log(`Network error: ${e.message}, retry ${retryCount + 1}/${MAX_RETRIES}`);
     
     if (retryCount < MAX_RETRIES) {
       await new Promise(r => setTimeout(r, 1500)); // Wait 1.5 seconds before retry
       return send(payload, retryCount + 1);
     }
-    
-    // Only mark offline after multiple consecutive failures
-    consecutiveFailures++;
-    if (consecutiveFailures >= MAX_FAILURES_BEFORE_OFFLINE) {
-      updateNetworkStatus(false);
+    
+    // Only mark offline after multiple consecutive failures
+    consecutiveFailures++;
+    if (consecutiveFailures >= MAX_FAILURES_BEFORE_OFFLINE) {
+      updateNetworkStatus(false);
+    }
+    return 'OFFLINE';
+  }
+}
+
+// ===== DEVICE ENROLLMENT =====
+// Each tablet authenticates with its own revocable token instead of a secret shipped in
+// the source. Protocol with the backend:
+//   record { action: 'ENROLL_REQUEST', device_id, device_name } → { status: 'PENDING', enrollment_code }
+//   lookup enrollStatus { device_id } → { status: 'PENDING' | 'APPROVED' | 'DENIED', token }
+// A supervisor approves the request by matching the code shown on the tablet.
+// Enrollment starts when the server answers UNAUTHORIZED - to a tablet without a token or
+// one that was revoked. A backend that doesn't enroll devices (the Apps Script deployed
+// before enrollment) never does, so its tablets keep working without a token. Startup
+// never waits on approval: with a map on hand the operator can keep scanning, and scans
+// are queued until the tablet is approved.
+const ENROLL_POLL_INTERVAL = 10000;
+const ENROLL_REQUEST_KEY = 'enrollRequest';
+
+const enrollModal = $('#enrollModal');
+const enrollInfo = $('#enrollInfo');
+const enrollName = $('#enrollName');
+const enrollCode = $('#enrollCode');
+const enrollRequestBtn = $('#enrollRequestBtn');
+const enrollLaterBtn = $('#enrollLaterBtn');
+let enrollPollTimer = null;
+let enrollmentPromise = null;
+
+async function loadDeviceCredentials() {
+  let credentials = null;
+  try {
+    credentials = await getDeviceCredentials();
+  } catch (err) {
+    console.error('Could not read device credentials:', err);
+  }
+  return { ...(credentials || {}), deviceId: getDeviceId(), token: credentials ? credentials.token : null };
+}
+
+function showEnrollStep(message, code) {
+  enrollInfo.textContent = message;
+  enrollCode.textContent = code || '';
+  enrollCode.style.display = code ? 'block' : 'none';
+  enrollName.style.display = code ? 'none' : 'block';
+  enrollRequestBtn.style.display = code ? 'none' : 'inline-flex';
+  // Scanning meanwhile only makes sense with a map to check parts against
+  enrollLaterBtn.style.display = Object.keys(PART_NUMBER_MAP).length ? 'inline-flex' : 'none';
+}
+
+// Hides the prompt while approval is pending - polling carries on and scans are queued
+function scanWhileEnrolling() {
+  enrollModal.style.display = 'none';
+  show('📥 Scans are queued until this tablet is approved', 'queued');
+  scanInput.focus();
+}
+
+async function requestEnrollment() {
+  const name = enrollName.value.trim();
+  if (!name) {
+    show('❌ Enter a name for this tablet', 'err');
+    playSoundError();
+    return;
+  }
+
+  enrollRequestBtn.disabled = true;
+  try {
+    const data = await backend.submitRecord(ENDPOINT, { action: 'ENROLL_REQUEST', device_id: getDeviceId(), device_name: name }, null, SEND_TIMEOUT);
+    if (data.status !== 'PENDING' || !data.enrollment_code) throw new Error(data.status || 'No enrollment code');
+
+    localStorage.setItem(ENROLL_REQUEST_KEY, JSON.stringify({ code: data.enrollment_code, name }));
+    showEnrollStep('Ask a supervisor to approve this tablet. Code:', data.enrollment_code);
+    pollEnrollment();
+  } catch (err) {
+    console.error('Enrollment request failed:', err);
+    show('❌ Enrollment request failed - check WiFi', 'err');
+    playSoundError();
+  } finally {
+    enrollRequestBtn.disabled = false;
+  }
+}
+
+async function pollEnrollment() {
+  clearTimeout(enrollPollTimer);
+  try {
+    const data = await backend.lookup(ENDPOINT, 'enrollStatus', { device_id: getDeviceId() }, null, 15000);
+
+    if (data.status === 'APPROVED' && data.token) {
+      deviceCredentials = { deviceId: getDeviceId(), token: data.token, enrolledAt: new Date().toISOString() };
+      await saveDeviceCredentials(deviceCredentials);
+      localStorage.removeItem(ENROLL_REQUEST_KEY);
+      enrollModal.style.display = 'none';
+      console.log('✅ Device enrolled');
+      show('✅ Tablet Approved', 'ok');
+      playSoundSuccess();
+      enrollmentPromise.resolve();
+      enrollmentPromise = null;
+      return;
+    }
+    if (data.status === 'DENIED') {
+      localStorage.removeItem(ENROLL_REQUEST_KEY);
+      showEnrollStep('Request was denied. Check with a supervisor and try again.');
+      return;
+    }
+  } catch (err) {
+    console.log('Enrollment status check failed:', err.message);
+  }
+  enrollPollTimer = setTimeout(pollEnrollment, ENROLL_POLL_INTERVAL);
+}
+
+// Shows the enrollment screen and resolves once a supervisor has approved the tablet
+function waitForEnrollment(message) {
+  if (enrollmentPromise) return enrollmentPromise.promise;
+
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  enrollmentPromise = { promise, resolve };
+
+  const pending = JSON.parse(localStorage.getItem(ENROLL_REQUEST_KEY) || 'null');
+  if (pending) {
+    showEnrollStep('Waiting for supervisor approval. Code:', pending.code);
+    pollEnrollment();
+  } else {
+    showEnrollStep(message || 'This tablet needs supervisor approval before it can log scans.');
+  }
+  enrollModal.style.display = 'flex';
+  return promise;
+}
+
+// Server rejected us (no token, revoked or never valid) - back to enrollment, then resume.
+// The enrollment is under way as soon as this returns, so callers can wait on it.
+async function handleUnauthorized() {
+  if (enrollmentPromise) return;
+  const revoked = Boolean(deviceCredentials && deviceCredentials.token);
+  console.error(`❌ Device not authorized - ${revoked ? 'token revoked or invalid' : 'backend requires enrollment'}`);
+  if (deviceCredentials) deviceCredentials.token = null;
+  const approved = waitForEnrollment(revoked ? 'Access for this tablet was revoked. Request approval again to keep scanning.' : '');
+  show('❌ TABLET NOT AUTHORIZED', 'err');
+  playSoundError();
+  try {
+    await clearDeviceToken();
+  } catch (err) {
+    console.error('Could not clear device token:', err);
+  }
+
+  await approved;
+  syncConfig();
+  requestQueueFlush();
+}
+
+enrollRequestBtn.onclick = requestEnrollment;
+enrollLaterBtn.onclick = scanWhileEnrolling;
+
+// ===== DEVICE SETTINGS =====
+// Backend, send tuning, history retention, fallback lists and the admin PIN for this tablet.
+// The panel takes the admin PIN, or a supervisor PIN once sign-in is set up; a fresh tablet
+// with neither opens straight in so it can be pointed at its backend and given a PIN.
+// Export/Import copy the setup as a JSON profile - all but the admin PIN, which stays with
+// the tablet so a profile passed around doesn't carry its hash. Saving reloads the page. A new
+// backend also drops the token, cached config and duplicate index, which belong to the old
+// one, so the tablet enrolls again (e.g. with the mock server: node mock-server/server.js).
+const DEVICE_PROFILE_TYPE = 'seescan-device-profile';
+const DEVICE_PROFILE_VERSION = 1;
+
+const settingsModal = $('#settingsModal');
+const settingsInfo = $('#settingsInfo');
+const backendAdapterSel = $('#backendAdapter');
+const backendEndpointInput = $('#backendEndpoint');
+const backendTestBtn = $('#backendTestBtn');
+const settingsPinInput = $('#settingsPin');
+const profileFileInput = $('#profileFile');
+const settingsFields = document.querySelectorAll('#settingsModal [data-setting]');
+const ADMIN_PIN_ITERATIONS = 100000;
+let settingsAdminPin = null; // Admin PIN the panel will save unless a new one is typed
+
+function requestSettings() {
+  initAudio();
+  if (deviceSettings.adminPin || signInConfigured()) openAuthPrompt('SETTINGS');
+  else openSettings();
+}
+
+// The admin PIN, else any supervisor PIN - resolves like findOperator()
+async function findSettingsAdmin(credential) {
+  if (deviceSettings.adminPin && await checkPin(credential, deviceSettings.adminPin)) {
+    return { operator: 'Admin', method: 'ADMIN_PIN' };
+  }
+  return findOperator(credential, true);
+}
+
+function fillSettingsForm(settings, choice) {
+  backendAdapterSel.innerHTML = '';
+  Object.values(BACKEND_ADAPTERS).forEach(adapter => {
+    const opt = document.createElement('option');
+    opt.value = adapter.name;
+    opt.textContent = adapter.label;
+    backendAdapterSel.appendChild(opt);
+  });
+  backendAdapterSel.value = choice.adapter;
+  backendEndpointInput.value = choice.endpoint;
+
+  // Lists are edited one name per line
+  settingsFields.forEach(field => {
+    const value = settings[field.dataset.setting];
+    field.value = Array.isArray(value) ? value.join('\n') : value;
+  });
+  settingsPinInput.value = '';
+  settingsAdminPin = settings.adminPin;
+}
+
+function openSettings(openedBy = '') {
+  fillSettingsForm(deviceSettings, backendSettings);
+  settingsInfo.textContent = `Scans go to ${backend.label}${ENDPOINT === DEFAULT_ENDPOINT ? ' (default)' : ''}${openedBy ? ` - opened by ${openedBy}` : ''}`;
+  settingsModal.style.display = 'flex';
+}
+
+function showSettingsError(err) {
+  settingsInfo.textContent = `❌ ${err.message}`;
+  playSoundError();
+}
+
+// Throws if the endpoint isn't a full http(s) URL
+function readBackendChoice() {
+  const endpoint = backendEndpointInput.value.trim();
+  let url = null;
+  try {
+    url = new URL(endpoint);
+  } catch {}
+  if (!url || (url.protocol !== 'https:' && url.protocol !== 'http:')) {
+    throw new Error('Backend endpoint must be a full http(s):// URL');
+  }
+  return { adapter: backendAdapterSel.value, endpoint };
+}
+
+// A fresh salt each time the PIN is set
+async function makeAdminPin(pin) {
+  const salt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+  return { pin_salt: salt, pin_iterations: ADMIN_PIN_ITERATIONS, pin_hash: await derivePinHash(pin, salt, ADMIN_PIN_ITERATIONS) };
+}
+
+// Everything in the panel as { backend, settings } - throws an Error for the first bad value
+async function readSettingsForm() {
+  const raw = {};
+  settingsFields.forEach(field => {
+    raw[field.dataset.setting] = field.tagName === 'TEXTAREA' ? field.value.split('\n') : field.value.trim();
+  });
+
+  const pin = settingsPinInput.value.trim();
+  if (pin && pin.length < 4) throw new Error('Admin PIN needs at least 4 characters');
+  raw.adminPin = pin ? await makeAdminPin(pin) : settingsAdminPin;
+
+  return { backend: readBackendChoice(), settings: normalizeDeviceSettings(raw) };
+}
+
+async function testBackend() {
+  let choice;
+  try {
+    choice = readBackendChoice();
+  } catch (err) {
+    showSettingsError(err);
+    return;
+  }
+
+  backendTestBtn.disabled = true;
+  settingsInfo.textContent = 'Testing backend...';
+  try {
+    const ok = await getBackendAdapter(choice.adapter).ping(choice.endpoint, 10000);
+    settingsInfo.textContent = ok ? '✅ Backend answered' : '❌ Backend returned an error';
+  } catch (err) {
+    settingsInfo.textContent = `❌ No answer: ${err.message}`;
+  } finally {
+    backendTestBtn.disabled = false;
+  }
+}
+
+async function saveSettings() {
+  let form;
+  try {
+    form = await readSettingsForm();
+  } catch (err) {
+    showSettingsError(err);
+    return;
+  }
+
+  const backendChanged = form.backend.adapter !== backend.name || form.backend.endpoint !== ENDPOINT;
+  if (backendChanged) {
+    // Queued scans go to the backend they were scanned for, with this tablet's current token
+    const pending = (await getQueuedScans().catch(() => [])).filter(e => e.status !== 'FAILED');
+    if (pending.length) {
+      showSettingsError(new Error(`${pending.length} queued - wait until they're sent before changing backend`));
+      return;
+    }
+  }
+
+  localStorage.setItem(DEVICE_SETTINGS_KEY, JSON.stringify(form.settings));
+  if (backendChanged) {
+    localStorage.setItem(BACKEND_SETTINGS_KEY, JSON.stringify(form.backend));
+    localStorage.removeItem(CONFIG_CACHE_KEY);
+    localStorage.removeItem(DUPLICATE_INDEX_SEEDED_KEY);
+    localStorage.removeItem(ENROLL_REQUEST_KEY);
+    try {
+      await clearDeviceToken();
+      await clearScanIndex();
+    } catch (err) {
+      console.error('Could not reset device state for the new backend:', err);
+    }
+    console.log(`🔌 Backend changed to ${form.backend.adapter} at ${form.backend.endpoint}`);
+  }
+  console.log('⚙ Device settings saved');
+  location.reload();
+}
+
+// Exports what's in the panel, so a profile can be prepared without saving it here
+async function exportDeviceProfile() {
+  let form;
+  try {
+    form = await readSettingsForm();
+  } catch (err) {
+    showSettingsError(err);
+    return;
+  }
+
+  const { adminPin, ...settings } = form.settings;
+  const profile = {
+    type: DEVICE_PROFILE_TYPE,
+    version: DEVICE_PROFILE_VERSION,
+    exported_at: new Date().toISOString(),
+    backend: form.backend,
+    settings
+  };
+  downloadFile(getExportFilename('json', 'profile'), JSON.stringify(profile, null, 2), 'application/json');
+  settingsInfo.textContent = `✅ Profile exported${adminPin ? ' - admin PIN not included' : ''}`;
+}
+
+// Fills the panel from a profile - nothing changes on the tablet until Save
+async function importDeviceProfile(file) {
+  try {
+    let profile = null;
+    try {
+      profile = JSON.parse(await file.text());
+    } catch {
+      throw new Error('Profile is not valid JSON');
+    }
+    if (!profile || profile.type !== DEVICE_PROFILE_TYPE) throw new Error('Not a SeeScan device profile');
+    if (profile.version > DEVICE_PROFILE_VERSION) throw new Error(`Profile version ${profile.version} is newer than this app`);
+    if (profile.backend && !BACKEND_ADAPTERS[profile.backend.adapter]) {
+      throw new Error(`Unknown backend adapter "${profile.backend.adapter}"`);
+    }
+
+    // This tablet keeps its own admin PIN - older profiles still carry an adminPinHash
+    const { adminPin, adminPinHash, ...imported } = profile.settings || {};
+    const settings = normalizeDeviceSettings({ ...imported, adminPin: settingsAdminPin });
+    fillSettingsForm(settings, profile.backend || { adapter: backendAdapterSel.value, endpoint: backendEndpointInput.value });
+    readBackendChoice();
+    console.log(`⚙ Profile ${file.name} loaded into settings`);
+    settingsInfo.textContent = `✅ Loaded ${file.name} - check and Save`;
+  } catch (err) {
+    showSettingsError(err);
+  } finally {
+    profileFileInput.value = '';
+  }
+}
+
+$('#settingsBtn').onclick = requestSettings;
+$('#enrollSettingsBtn').onclick = requestSettings;
+backendTestBtn.onclick = testBackend;
+$('#exportProfileBtn').onclick = exportDeviceProfile;
+profileFileInput.onchange = () => {
+  if (profileFileInput.files.length) importDeviceProfile(profileFileInput.files[0]);
+};
+$('#cancelSettings').onclick = () => { settingsModal.style.display = 'none'; };
+$('#saveSettings').onclick = saveSettings;
+
+// ===== OFFLINE SCAN QUEUE =====
+// Storage and replay live in scan-queue.js so the service worker can deliver scans
+// with the tab closed. The page only falls back to replaying itself when no service
+// worker controls it.
+const QUEUE_REPLAY_INTERVAL = 60000; // Nudge the queue every 60 seconds while online
+
+let isFlushingQueue = false;
+
+async function enqueueScan(payload, reason) {
+  const entry = {
+    operator: payload.operator,
+    station: payload.station,
+    endpoint: ENDPOINT,
+    adapter: backend.name,
+    timeout: SEND_TIMEOUT,
+    payload,
+    status: 'PENDING',
+    attempts: 0,
+    lastError: reason || '',
+    queuedAt: new Date().toISOString()
+  };
+  const id = await addQueuedScan(entry);
+  console.log(`📥 Queued (#${id}): ${payload.action || `${payload.part_number} / ${payload.serial_number}`}`);
+  refreshQueueInfo();
+  return id;
+}
+
+// Summaries and reports go out like a scan, and are queued the same way if they can't go now.
+// A note or void about a scan that's still queued goes in behind it, so the sheet never
+// gets a record for a scan_id it doesn't have yet.
+async function sendRecord(payload) {
+  const scanQueued = payload.scan_id && await isScanQueued(payload.scan_id).catch(() => false);
+  const status = scanQueued ? 'SCAN_QUEUED' : navigator.onLine ? await send(payload) : 'OFFLINE';
+  if (status === 'OK' || status === 'DUPLICATE') return status;
+  try {
+    await enqueueScan(payload, status);
+    return 'QUEUED';
+  } catch (err) {
+    console.error(`Failed to queue ${payload.action}:`, err);
+    return status;
+  }
+}
+
+async function refreshQueueInfo() {
+  const el = document.getElementById('queueInfo');
+  if (!el) return;
+
+  try {
+    const entries = await getQueuedScansFor(operatorInput.value || 'UNNAMED', stationSel.value);
+    const pending = entries.filter(e => e.status === 'PENDING').length;
+    const sending = entries.filter(e => e.status === 'SENDING').length;
+    const failed = entries.filter(e => e.status === 'FAILED').length;
+
+    if (!entries.length) {
+      el.textContent = '';
+      el.className = '';
+      return;
+    }
+
+    el.textContent = `📥 Queue: ${pending} pending · ${sending} sending · ${failed} failed` +
+      (failed ? ' - tap to retry' : '');
+    el.className = 'queue-info ' + (failed ? 'err' : 'queued');
+  } catch (err) {
+    console.error('Queue info error:', err);
+  }
+}
+
+// Applies delivery results recorded by whoever replayed the queue (page or service worker)
+async function applyQueueResults() {
+  try {
+    const results = await getQueueResults();
+    for (const result of results) {
+      if (result.action === 'CORRECTION') {
+        await updateNoteSync(result.scanId, result.noteId, result.status === 'FAILED' ? 'FAILED' : 'SENT');
+      } else if (!result.action) {
+        await updateHistoryStatus(result.scanId, result.status);
+        if (result.status === 'OK') recordSuccessfulScan(result.deliveredAt);
+      }
+      await removeQueueResult(result.id);
+    }
+  } catch (err) {
+    console.error('Queue results error:', err);
+  }
+}
+
+// Failed scans stay in the queue until the operator taps the queue bar to retry them
+async function retryFailedScans() {
+  try {
+    const entries = await getQueuedScans();
+    for (const entry of entries.filter(e => e.status === 'FAILED')) {
+      entry.status = 'PENDING';
+      entry.attempts = 0;
+      await updateQueuedScan(entry);
+      if (entry.payload.action === 'CORRECTION') await updateNoteSync(entry.payload.scan_id, entry.payload.note_id, 'QUEUED');
+      else if (!entry.payload.action) {
+        await updateHistoryStatus(entry.payload.scan_id, 'QUEUED');
+        // Back in the queue, so back in the index unless another scan of the unit took its place
+        const { part_number: part, serial_number: serial } = entry.payload;
+        if (serial && !(await getIndexedScan(part, serial).catch(() => null))) await indexLoggedScan(entry.payload, { queued: true });
+      }
+    }
+  } catch (err) {
+    console.error('Queue retry error:', err);
+  }
+  refreshQueueInfo();
+  requestQueueFlush();
+}
+
+/**
+ * Hands queue delivery to the service worker.
+ * Background Sync lets the browser retry after the tab closes; the FLUSH_QUEUE
+ * message covers browsers without it. Without a controlling worker we replay here.
+ */
+async function requestQueueFlush() {
+  const controller = 'serviceWorker' in navigator ? navigator.serviceWorker.controller : null;
+  if (!controller) {
+    flushScanQueue();
+    return;
+  }
+
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    if ('sync' in registration) await registration.sync.register(QUEUE_SYNC_TAG);
+  } catch (err) {
+    console.log('Background Sync unavailable:', err.message);
+  }
+  if (navigator.onLine) controller.postMessage({ type: 'FLUSH_QUEUE' });
+}
+
+// In-page replay, used only when no service worker is in control
+async function flushScanQueue() {
+  if (isFlushingQueue || !navigator.onLine) return;
+  isFlushingQueue = true;
+  let delivered = 0;
+
+  try {
+    ({ delivered } = await replayScanQueue(entry => send(entry.payload), refreshQueueInfo));
+  } catch (err) {
+    console.error('Queue replay error:', err);
+  } finally {
+    isFlushingQueue = false;
+    refreshQueueInfo();
+  }
+
+  await applyQueueResults();
+  if (delivered > 0) {
+    console.log(`📤 Queue replay delivered ${delivered} scan(s)`);
+    show(`📤 Sent ${delivered} queued scan${delivered === 1 ? '' : 's'}`, 'ok');
+  }
+}
+
+// Live updates from the service worker while it delivers the queue
+if ('serviceWorker' in navigator) {
+  navigator.serviceWorker.addEventListener('message', async (event) => {
+    const msg = event.data || {};
+
+    if (msg.type === 'QUEUE_CHANGED') {
+      refreshQueueInfo();
+    } else if (msg.type === 'QUEUE_FLUSHED') {
+      await applyQueueResults();
+      refreshQueueInfo();
+      if (msg.unauthorized) handleUnauthorized();
+      if (msg.delivered > 0) {
+        consecutiveFailures = 0;
+        updateNetworkStatus(true);
+        show(`📤 Sent ${msg.delivered} queued scan${msg.delivered === 1 ? '' : 's'}`, 'ok');
+      } else if (msg.offline) {
+        consecutiveFailures++;
+        if (consecutiveFailures >= MAX_FAILURES_BEFORE_OFFLINE) {
+          updateNetworkStatus(false);
+        }
+      }
+    }
+  });
+}
+
+const queueInfoEl = document.getElementById('queueInfo');
+if (queueInfoEl) queueInfoEl.addEventListener('click', retryFailedScans);
+
+setInterval(() => { if (navigator.onLine) requestQueueFlush(); }, QUEUE_REPLAY_INTERVAL);
+
+// ===== LOCAL DUPLICATE INDEX =====
+// Part+serial pairs logged in the last DUPLICATE_INDEX_DAYS live in IndexedDB (scan-queue.js),
+// so a repeat scan gets DUPLICATE instantly - offline too - instead of after a full POST.
+// The scan is still sent; if the server disagrees the history and last scan are corrected.
+// Queued scans are indexed too, so a unit scanned twice while offline is caught the second time.
+// Seeded incrementally from the sheet:
+//   lookup recentScans { since: ISO } → { status: 'OK', as_of, scans: [{ part_number, serial_number, scan_id, timestamp }] }
+const DUPLICATE_INDEX_DAYS = 30;
+const DUPLICATE_INDEX_SEEDED_KEY = 'duplicateIndexSeededAt';
+
+let isSeedingIndex = false;
+
+async function seedDuplicateIndex() {
+  if (isSeedingIndex || !navigator.onLine || enrollmentPromise) return;
+  isSeedingIndex = true;
+
+  try {
+    const windowStart = new Date(Date.now() - DUPLICATE_INDEX_DAYS * 86400000).toISOString();
+    const seededAt = localStorage.getItem(DUPLICATE_INDEX_SEEDED_KEY);
+    const since = seededAt && seededAt > windowStart ? seededAt : windowStart;
+
+    const data = await backend.lookup(ENDPOINT, 'recentScans', { since }, deviceCredentials, SEND_TIMEOUT);
+
+    if (data.status === 'UNAUTHORIZED') {
+      handleUnauthorized();
+      return;
+    }
+    if (data.status !== 'OK' || !Array.isArray(data.scans)) {
+      console.warn('⚠️ Duplicate index seed failed:', data);
+      return;
     }
-    return 'OFFLINE';
+
+    await indexLoggedScans(data.scans
+      .filter(scan => scan && scan.serial_number)
+      .map(scan => ({
+        part: scan.part_number,
+        serial: scan.serial_number,
+        scanId: scan.scan_id || '',
+        loggedAt: scan.timestamp ? new Date(scan.timestamp).toISOString() : new Date().toISOString()
+      })));
+    await pruneScanIndex(windowStart);
+    localStorage.setItem(DUPLICATE_INDEX_SEEDED_KEY, data.as_of || new Date().toISOString());
+    console.log(`✅ Duplicate index seeded: ${data.scans.length} scan(s) since ${formatTimestamp(since)}`);
+  } catch (err) {
+    console.log('Duplicate index seed failed:', err.message);
+  } finally {
+    isSeedingIndex = false;
+  }
+}
+
+// Sends a scan already shown as DUPLICATE; reconciles if the server has no record of it.
+// If the scan it repeats is still queued, sending now would log this one as the new unit -
+// it's queued behind the original instead, and the replay settles it.
+async function confirmLocalDuplicate(payload, knownScan) {
+  const status = knownScan.queued ? 'QUEUED_ORIGINAL' : navigator.onLine ? await send(payload) : 'OFFLINE';
+
+  if (status === 'DUPLICATE') return;
+  if (status === 'OK') {
+    // Our index was wrong (e.g. the row was deleted from the sheet) - this was a new unit,
+    // counted the same as any other OK scan
+    console.warn(`⚠️ Server logged ${payload.part_number} / ${payload.serial_number} as new - local index was stale`);
+    indexLoggedScan(payload).catch(() => {});
+    recordSuccessfulScan(new Date().toISOString());
+    recordWorkOrderScan(payload.part_number, payload.serial_number);
+    recordManifestScan(payload.manifest_check || null, payload.part_number, payload.serial_number);
+    await updateHistoryStatus(payload.scan_id, 'OK');
+    const last = JSON.parse(localStorage.getItem(getLastScanKey()) || 'null');
+    if (last && last.serial === payload.serial_number && last.status === 'DUPLICATE') {
+      saveLastScan(last.part, last.serial, 'OK', last);
+    }
+    show(`✅ SAVED - ${payload.serial_number} was not a duplicate`, 'ok');
+    playSoundSuccess();
+    return;
+  }
+
+  // Couldn't confirm now - queue it and let the replay result settle the history
+  try {
+    await enqueueScan(payload, status);
+  } catch (err) {
+    console.error('Failed to queue scan:', err);
   }
 }
 
 // Scan lock to prevent double-scanning
 let isProcessing = false;
 let processingTimeout = null;
+let pendingHibcPrimary = null; // Primary symbol of a split HIBC label awaiting its secondary
 
 function unlockScanner() {
   if (processingTimeout) {
@@ -651,36 +2048,94 @@ function unlockScanner() {
   scanInput.focus();
 }
 
-scanInput.addEventListener('keydown', async (ev) => {
-  if (ev.key !== 'Enter') return;
-  
+// Handles whatever is in the scan field - filled by a wedge scanner or the camera
+async function processScan() {
   if (isProcessing) {
     playSoundError();
     return;
   }
   
-  // Check browser online status first
-  if (!navigator.onLine) {
-    playSoundError();
-    show('❌ NO INTERNET - Check WiFi', 'err');
+  let raw = scanInput.value.trim(); 
+  if (!raw) return;
+
+  // No anonymous scans once badges/PINs are set up
+  if (signInConfigured() && !operatorSession) {
     scanInput.value = '';
+    openAuthPrompt('SIGN_IN');
     return;
   }
-  
-  let raw = scanInput.value.trim(); 
-  if (!raw) return;
 
-  raw = raw.replace(/[\x00-\x1F\x7F]/g, ''); 
+  // First scan at a station starts the shift if the operator didn't
+  const shift = getCurrentShift() || startShift();
+
+  // Strip control characters except GS (\x1D), which separates GS1 variable-length fields
+  raw = raw.replace(/[\x00-\x1C\x1E\x1F\x7F]/g, ''); 
 
   if (raw.startsWith("'")) {
     raw = raw.substring(1);
   }
   
-  const parsed = parsePN_SN(raw);
+  const parsed = parseBarcode(raw, { partMap: PART_NUMBER_MAP, hibcPrimary: pendingHibcPrimary });
   const cleanedSerial = cleanSerialClient(parsed.serial);
   const cleanedPart = parsed.part;
+  const { lot = '', expiry = '', prodDate = '' } = parsed;
+  const expiryWarning = getExpiryWarning(expiry);
+
+  // Split HIBC labels: hold the primary until its secondary is scanned.
+  // Any other scan uses up or discards the held primary.
+  pendingHibcPrimary = parsed.hibcPrimary || null;
+  if (parsed.hibcPrimary) {
+    show(`📎 ${cleanedPart} - Scan secondary label`, 'queued');
+    playBeep(660, 'sine');
+    scanInput.value = '';
+    return;
+  }
+  if (parsed.needsPrimary) { show('❌ SCAN PRIMARY LABEL FIRST', 'err'); playSoundError(); scanInput.value=''; return; }
+
+  // Check character didn't validate - log locally as BAD_CHECK, never send
+  if (parsed.checkError) {
+    console.warn(`⚠️ ${parsed.checkError}`);
+    addToHistory({ scanId: generateUUID(), shiftId: shift.shiftId, part: cleanedPart, serial: cleanedSerial, lot, expiry, prodDate, status: 'BAD_CHECK', timestamp: new Date() });
+    saveLastScan(cleanedPart, cleanedSerial, 'BAD_CHECK', { lot, expiry, prodDate });
+    show('❌ BAD CHECK - Rescan', 'err');
+    playSoundError();
+    scanInput.value = '';
+    return;
+  }
 
   if (!cleanedSerial) { show('INVALID FORMAT', 'err'); playSoundError(); scanInput.value=''; return; }
+  if (parsed.checkWarning) console.warn(`⚠️ ${parsed.checkWarning} - part is in the map, sending flagged`);
+
+  // Open work order: a part that isn't on it isn't logged as a scan - it goes to history and
+  // the sheet as a WRONG_PART record (queued if it can't go now), so the attempt is on record
+  const workOrder = getActiveWorkOrder();
+  const workOrderFlag = checkWorkOrderScan(cleanedPart);
+  const manifestCheck = checkManifestScan(cleanedSerial);
+  if (workOrderFlag === 'WRONG_PART') {
+    const scanId = generateUUID();
+    const now = new Date();
+    addToHistory({ scanId, shiftId: shift.shiftId, part: cleanedPart, serial: cleanedSerial, lot, expiry, prodDate, status: 'WRONG_PART', timestamp: now });
+    saveLastScan(cleanedPart, cleanedSerial, 'WRONG_PART', { lot, expiry, prodDate });
+    show(`❌ WRONG PART - Not on WO ${workOrder.workOrder}`, 'err');
+    playSoundError();
+    scanInput.value = '';
+    sendRecord({
+      action: 'WRONG_PART',
+      scan_id: scanId,
+      shift_id: shift.shiftId,
+      device_id: getDeviceId(),
+      operator: operatorInput.value || 'UNNAMED',
+      station: stationSel.value,
+      raw_scan: raw,
+      part_number: cleanedPart,
+      serial_number: cleanedSerial,
+      lot,
+      parser: parsed.parser,
+      work_order: workOrder.workOrder,
+      scanned_at: now.toISOString()
+    }).catch(err => console.error('WRONG_PART record failed:', err));
+    return;
+  }
 
   scanInput.value = '';
   clearBtn.style.display = 'none';
@@ -690,35 +2145,71 @@ scanInput.addEventListener('keydown', async (ev) => {
   scanInput.disabled = true;
   scanInput.style.opacity = '0.5';
   
-  // SAFETY TIMEOUT: Auto-unlock after 35 seconds no matter what
+  // SAFETY TIMEOUT: Auto-unlock after safetyUnlockSeconds (35 by default) no matter what
   processingTimeout = setTimeout(() => {
     console.log('Safety timeout triggered - forcing unlock');
     show('⚠️ Timeout - Please retry scan', 'dup');
     playSoundError();
     unlockScanner();
-  }, 35000);
+  }, deviceSettings.safetyUnlockSeconds * 1000);
   
   try {
     show('⏳ Sending...', 'queued');
     
     lastPart.textContent = cleanedPart || 'N/A';
     lastSerial.textContent = cleanedSerial;
+    renderScanMeta(lastScanMeta, { lot, expiry, prodDate });
     lastScanStatus.textContent = 'SENDING';
     lastScanStatus.style.cssText = 'background:#dbeafe; color:#1e40af;';
     if (lastScanTime) lastScanTime.textContent = 'Sending...';
     if (lastScanRelative) lastScanRelative.textContent = '';
     
+    // scan_id is generated once here and reused by every retry and queue replay
     const payload = {
-      secret: SHARED_SECRET,
+      scan_id: generateUUID(),
+      shift_id: shift.shiftId,
+      device_id: getDeviceId(),
       operator: operatorInput.value || 'UNNAMED',
+      operator_auth: operatorSession ? operatorSession.method : '',
+      authorized_by: operatorSession ? operatorSession.supervisor : '',
       station: stationSel.value,
       raw_scan: raw,
       part_number: cleanedPart,
       serial_number: cleanedSerial,
-      comment: $('#generalNote').value.trim()
+      comment: $('#generalNote').value.trim(),
+      lot,
+      expiry_date: expiry,
+      manufacture_date: prodDate,
+      expiry_warning: expiryWarning ? expiryWarning.state : '',
+      parser: parsed.parser,
+      check_warning: parsed.checkWarning || '',
+      work_order: workOrder ? workOrder.workOrder : '',
+      work_order_flag: workOrderFlag || '',
+      manifest_po: manifestCheck ? getActiveReceipt().po : '',
+      manifest_check: manifestCheck || ''
     };
 
-    const status = await send(payload);
+    // Already logged as far as the local index knows - answer now, confirm in the background
+    // once the history row is written, so a correction has a row to land on
+    const knownScan = await getIndexedScan(cleanedPart, cleanedSerial).catch(() => null);
+    let status;
+    if (knownScan) {
+      status = 'DUPLICATE';
+    } else {
+      // Offline, unauthorized or undeliverable scans go to the queue instead of being lost
+      status = navigator.onLine ? await send(payload) : 'OFFLINE';
+      if (status === 'OK' || status === 'DUPLICATE') indexLoggedScan(payload).catch(() => {});
+      if (status === 'OK') recordSuccessfulScan(new Date().toISOString());
+      if (status === 'OFFLINE' || status === 'ERROR' || status === 'UNAUTHORIZED') {
+        try {
+          await enqueueScan(payload, status);
+          status = 'QUEUED';
+          indexLoggedScan(payload, { queued: true }).catch(() => {});
+        } catch (err) {
+          console.error('Failed to queue scan:', err);
+        }
+      }
+    }
     
     lastScanStatus.textContent = status;
     lastScanStatus.className = 'history-status';
@@ -731,6 +2222,10 @@ scanInput.addEventListener('keydown', async (ev) => {
       lastScanStatus.style.cssText = 'background:#fef3c7; color:#92400e;';
       playSoundDuplicate();
       show('⚠️ DUPLICATE', 'dup');
+    } else if (status === 'QUEUED') {
+      lastScanStatus.style.cssText = 'background:#dbeafe; color:#1e40af;';
+      playSoundQueued();
+      show('📥 QUEUED - Will send when back online', 'queued');
     } else if (status === 'OFFLINE') {
       lastScanStatus.style.cssText = 'background:#fee2e2; color:#991b1b;';
       lastScanStatus.textContent = 'OFFLINE';
@@ -745,10 +2240,36 @@ scanInput.addEventListener('keydown', async (ev) => {
 
     // Save to history regardless of status
     const now = new Date();
-    addToHistory({ part: cleanedPart, serial: cleanedSerial, status, timestamp: now });
-    if (status === 'OK' || status === 'DUPLICATE') {
-      saveLastScan(cleanedPart, cleanedSerial, status);
+    await addToHistory({ scanId: payload.scan_id, shiftId: shift.shiftId, part: cleanedPart, serial: cleanedSerial, lot, expiry, prodDate, comment: payload.comment, status, timestamp: now });
+    if (knownScan) confirmLocalDuplicate(payload, knownScan);
+    if (status === 'OK' || status === 'DUPLICATE' || status === 'QUEUED') {
+      saveLastScan(cleanedPart, cleanedSerial, status, { lot, expiry, prodDate });
+    }
+
+    if (status === 'OK' || status === 'QUEUED') recordWorkOrderScan(cleanedPart, cleanedSerial);
+    if (status === 'OK' || status === 'DUPLICATE' || status === 'QUEUED') {
+      recordManifestScan(manifestCheck, cleanedPart, cleanedSerial);
+      // Manifest result is what the receiving operator acts on, so it replaces the status message
+      if (manifestCheck) setTimeout(() => showManifestFeedback(manifestCheck), 400);
+    }
+
+    // Overage and expiry warnings follow the send result so the success beep doesn't mask them
+    if (workOrderFlag === 'OVERAGE' && (status === 'OK' || status === 'QUEUED')) {
+      const line = workOrder.lines.find(l => l.part_number === cleanedPart);
+      setTimeout(() => {
+        playSoundDuplicate();
+        show(`⚠️ OVER QUANTITY - ${cleanedPart} only needs ${line.quantity}`, 'dup');
+      }, 400);
+    }
+    if (expiryWarning) {
+      setTimeout(() => {
+        playSoundExpiry();
+        show(getExpiryMessage(expiryWarning, expiry), expiryWarning.state === 'EXPIRED' ? 'err' : 'dup');
+      }, 400);
     }
+
+    // A live send worked, so drain anything still waiting in the queue
+    if (!knownScan && (status === 'OK' || status === 'DUPLICATE')) requestQueueFlush();
     
   } catch (err) {
     console.error('Scan handler error:', err);
@@ -758,6 +2279,153 @@ scanInput.addEventListener('keydown', async (ev) => {
     // ALWAYS unlock, no matter what happened
     unlockScanner();
   }
+}
+
+scanInput.addEventListener('keydown', (ev) => {
+  if (ev.key === 'Enter') processScan();
+});
+
+// ===== CAMERA SCAN MODE =====
+// For stations whose wedge scanner has died. Uses the native BarcodeDetector when it
+// supports our symbologies, otherwise the bundled ZXing decoder (loaded on first use).
+// Decoded text goes through processScan() exactly like a wedge scan.
+const CAMERA_FORMATS = ['code_128', 'data_matrix'];
+const CAMERA_SCAN_INTERVAL = 150; // ms between decode attempts
+const ZXING_SRC = 'vendor/zxing-library-0.21.3.min.js';
+
+const cameraBtn = $('#cameraBtn');
+const cameraModal = $('#cameraModal');
+const cameraVideo = $('#cameraVideo');
+const cameraStatus = $('#cameraStatus');
+let cameraStream = null;
+let cameraDecoder = null;
+let cameraTimer = null;
+
+function loadZXing() {
+  if (window.ZXing) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = ZXING_SRC;
+    script.onload = resolve;
+    script.onerror = () => reject(new Error('Could not load ZXing decoder'));
+    document.head.appendChild(script);
+  });
+}
+
+// Returns an async fn(video) that resolves with the decoded text or null
+async function getCameraDecoder() {
+  if (cameraDecoder) return cameraDecoder;
+
+  if ('BarcodeDetector' in window) {
+    try {
+      const supported = await BarcodeDetector.getSupportedFormats();
+      if (CAMERA_FORMATS.every(f => supported.includes(f))) {
+        const detector = new BarcodeDetector({ formats: CAMERA_FORMATS });
+        console.log('📷 Using native BarcodeDetector');
+        cameraDecoder = async (video) => {
+          const codes = await detector.detect(video);
+          return codes.length ? codes[0].rawValue : null;
+        };
+        return cameraDecoder;
+      }
+    } catch (err) {
+      console.warn('BarcodeDetector unavailable:', err);
+    }
+  }
+
+  await loadZXing();
+  console.log('📷 Using bundled ZXing decoder');
+  const reader = new ZXing.MultiFormatReader();
+  reader.setHints(new Map([
+    [ZXing.DecodeHintType.POSSIBLE_FORMATS, [ZXing.BarcodeFormat.CODE_128, ZXing.BarcodeFormat.DATA_MATRIX]],
+    // GS1-128: leading FNC1 becomes ]C1 and later ones GS, which the GS1 parser expects
+    [ZXing.DecodeHintType.ASSUME_GS1, true],
+    [ZXing.DecodeHintType.TRY_HARDER, true]
+  ]));
+  const canvas = document.createElement('canvas');
+
+  cameraDecoder = async (video) => {
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    canvas.getContext('2d').drawImage(video, 0, 0);
+    try {
+      const source = new ZXing.HTMLCanvasElementLuminanceSource(canvas);
+      return reader.decodeWithState(new ZXing.BinaryBitmap(new ZXing.HybridBinarizer(source))).getText();
+    } catch (e) {
+      return null; // NotFoundException - nothing readable in this frame
+    } finally {
+      reader.reset();
+    }
+  };
+  return cameraDecoder;
+}
+
+async function openCameraScanner() {
+  initAudio();
+  if (scanInput.disabled || isProcessing) {
+    show('⏳ Not ready to scan yet', 'dup');
+    playSoundError();
+    return;
+  }
+  if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+    show('❌ Camera not supported on this device', 'err');
+    playSoundError();
+    return;
+  }
+
+  cameraStatus.textContent = 'Starting camera...';
+  cameraModal.style.display = 'flex';
+
+  try {
+    const decode = await getCameraDecoder();
+    cameraStream = await navigator.mediaDevices.getUserMedia({
+      video: { facingMode: 'environment', width: { ideal: 1280 }, height: { ideal: 720 } },
+      audio: false
+    });
+    cameraVideo.srcObject = cameraStream;
+    await cameraVideo.play();
+    cameraStatus.textContent = 'Point the camera at the barcode';
+
+    const tick = async () => {
+      if (!cameraStream) return;
+      const text = cameraVideo.readyState >= 2 ? await decode(cameraVideo) : null;
+      if (text && cameraStream) {
+        closeCameraScanner();
+        scanInput.value = text;
+        processScan();
+        return;
+      }
+      cameraTimer = setTimeout(tick, CAMERA_SCAN_INTERVAL);
+    };
+    tick();
+  } catch (err) {
+    console.error('Camera scan error:', err);
+    closeCameraScanner();
+    show(err.name === 'NotAllowedError' ? '❌ Camera permission denied' : '❌ Camera unavailable', 'err');
+    playSoundError();
+  }
+}
+
+function closeCameraScanner() {
+  if (cameraTimer) {
+    clearTimeout(cameraTimer);
+    cameraTimer = null;
+  }
+  if (cameraStream) {
+    cameraStream.getTracks().forEach(track => track.stop());
+    cameraStream = null;
+  }
+  cameraVideo.srcObject = null;
+  cameraModal.style.display = 'none';
+  scanInput.focus();
+}
+
+if (cameraBtn) cameraBtn.onclick = openCameraScanner;
+$('#cancelCamera').onclick = closeCameraScanner;
+
+// Don't leave the camera running while the tablet sleeps
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'hidden' && cameraStream) closeCameraScanner();
 });
 
 clearBtn.onclick = () => { scanInput.value=''; clearBtn.style.display='none'; scanInput.focus(); };
@@ -800,56 +2468,579 @@ function loadBatchComment() {
   }
 }
 
-function updateBatchLockUI(locked) {
-  const lockBatchBtn = document.getElementById('lockBatchBtn');
-  
-  if (locked) {
-    generalNoteInput.disabled = true;
-    generalNoteInput.style.background = '#f0f0f0';
-    if (lockBatchBtn) {
-      lockBatchBtn.textContent = '🔓 Unlock Comment';
-      lockBatchBtn.style.background = '#f59e0b';
-    }
+function updateBatchLockUI(locked) {
+  const lockBatchBtn = document.getElementById('lockBatchBtn');
+  
+  if (locked) {
+    generalNoteInput.disabled = true;
+    generalNoteInput.style.background = '#f0f0f0';
+    if (lockBatchBtn) {
+      lockBatchBtn.textContent = '🔓 Unlock Comment';
+      lockBatchBtn.style.background = '#f59e0b';
+    }
+  } else {
+    generalNoteInput.disabled = false;
+    generalNoteInput.style.background = '';
+    if (lockBatchBtn) {
+      lockBatchBtn.textContent = '🔒 Lock Comment';
+      lockBatchBtn.style.background = '#10b981';
+    }
+  }
+}
+
+const lockBatchBtn = document.getElementById('lockBatchBtn');
+if (lockBatchBtn) {
+  lockBatchBtn.addEventListener('click', () => {
+    const lockKey = getBatchLockKey();
+    const commentKey = getBatchCommentKey();
+    const currentlyLocked = localStorage.getItem(lockKey) === 'true';
+    
+    if (currentlyLocked) {
+      localStorage.setItem(lockKey, 'false');
+      updateBatchLockUI(false);
+      show('🔓 Comment Unlocked', 'ok');
+    } else {
+      const comment = generalNoteInput.value.trim();
+      localStorage.setItem(commentKey, comment);
+      localStorage.setItem(lockKey, 'true');
+      updateBatchLockUI(true);
+      show('🔒 Comment Locked', 'ok');
+    }
+    playSoundSuccess();
+  });
+}
+
+// ===== WORK ORDER BATCH MODE =====
+// The operator opens a work order and gets its expected lines from the sheet:
+//   lookup workOrder { id: 'WO123' } → { status: 'OK', lines: [{ part_number, quantity, serials? }] }
+// Progress per part fills in as scans land. Parts not on the order are logged locally as
+// WRONG_PART - sent as a record, not a scan; scans past the expected quantity go through flagged OVERAGE.
+// Fetched orders are kept locally so an order opened earlier can be reopened offline.
+const WORK_ORDER_CACHE_KEY = 'workOrderCache';
+const WORK_ORDER_CACHE_MAX = 20;
+
+const workOrderInput = $('#workOrderInput');
+const openWorkOrderBtn = $('#openWorkOrderBtn');
+const workOrderPanel = $('#workOrderPanel');
+const workOrderTitle = $('#workOrderTitle');
+const workOrderProgress = $('#workOrderProgress');
+const closeWorkOrderBtn = $('#closeWorkOrderBtn');
+const workOrderReportModal = $('#workOrderReportModal');
+const workOrderReportBody = $('#workOrderReportBody');
+
+function getWorkOrderKey() {
+  const op = operatorInput.value.trim() || 'UNNAMED';
+  const st = stationSel.value || 'MAIN';
+  return `workOrder_${op}_${st}`;
+}
+
+// { workOrder, lines: [{ part_number, quantity, serials }], scanned: { part: [serials] }, openedAt }
+function getActiveWorkOrder() {
+  try {
+    return JSON.parse(localStorage.getItem(getWorkOrderKey()));
+  } catch {
+    return null;
+  }
+}
+
+function saveActiveWorkOrder(wo) {
+  if (wo) localStorage.setItem(getWorkOrderKey(), JSON.stringify(wo));
+  else localStorage.removeItem(getWorkOrderKey());
+}
+
+function cacheWorkOrder(workOrder, lines) {
+  try {
+    const cache = JSON.parse(localStorage.getItem(WORK_ORDER_CACHE_KEY) || '{}');
+    delete cache[workOrder];
+    cache[workOrder] = { lines, fetchedAt: new Date().toISOString() };
+    // Insertion order - drop the oldest beyond the limit
+    Object.keys(cache).slice(0, -WORK_ORDER_CACHE_MAX).forEach(k => delete cache[k]);
+    localStorage.setItem(WORK_ORDER_CACHE_KEY, JSON.stringify(cache));
+  } catch (e) {
+    console.warn('⚠️ Could not cache work order:', e);
+  }
+}
+
+function getCachedWorkOrder(workOrder) {
+  try {
+    const cache = JSON.parse(localStorage.getItem(WORK_ORDER_CACHE_KEY) || '{}');
+    return cache[workOrder] ? cache[workOrder].lines : null;
+  } catch {
+    return null;
+  }
+}
+
+// Returns the order's lines, null if it doesn't exist or can't be fetched or found in the cache
+async function fetchWorkOrder(workOrder) {
+  try {
+    const data = await backend.lookup(ENDPOINT, 'workOrder', { id: workOrder }, deviceCredentials, 15000);
+
+    if (data.status === 'UNAUTHORIZED') {
+      handleUnauthorized();
+      return null;
+    }
+    if (data.status === 'NOT_FOUND') return null;
+    if (data.status === 'OK' && Array.isArray(data.lines)) {
+      const lines = data.lines
+        .filter(line => line && line.part_number)
+        .map(line => ({
+          part_number: String(line.part_number),
+          quantity: Number(line.quantity) || (Array.isArray(line.serials) ? line.serials.length : 0),
+          serials: Array.isArray(line.serials) ? line.serials.map(String) : []
+        }));
+      cacheWorkOrder(workOrder, lines);
+      return lines;
+    }
+    console.error('❌ Unexpected work order response:', data);
+  } catch (err) {
+    console.log('Work order fetch failed:', err.message);
+  }
+
+  const cached = getCachedWorkOrder(workOrder);
+  if (cached) console.log(`📋 Work order ${workOrder} opened from local copy`);
+  return cached;
+}
+
+async function openWorkOrder() {
+  const workOrder = workOrderInput.value.replace(/[\x00-\x1F\x7F]/g, '').trim().toUpperCase();
+  if (!workOrder) {
+    show('❌ Enter or scan a work order', 'err');
+    playSoundError();
+    return;
+  }
+
+  openWorkOrderBtn.disabled = true;
+  const lines = await fetchWorkOrder(workOrder);
+  openWorkOrderBtn.disabled = false;
+
+  if (!lines || !lines.length) {
+    show(`❌ Work order ${workOrder} not found`, 'err');
+    playSoundError();
+    return;
+  }
+
+  saveActiveWorkOrder({ workOrder, lines, scanned: {}, openedAt: new Date().toISOString() });
+  workOrderInput.value = '';
+  renderWorkOrder();
+  console.log(`📋 Work order ${workOrder} opened: ${lines.length} line(s)`);
+  show(`📋 WO ${workOrder} Open`, 'ok');
+  playSoundSuccess();
+  scanInput.focus();
+}
+
+/**
+ * Checks a scan against the open work order before it's sent.
+ * Returns null (no order, or part still needed), 'WRONG_PART' or 'OVERAGE'.
+ */
+function checkWorkOrderScan(part) {
+  const wo = getActiveWorkOrder();
+  if (!wo) return null;
+  const line = wo.lines.find(l => l.part_number === part);
+  if (!line) return 'WRONG_PART';
+  return (wo.scanned[part] || []).length >= line.quantity ? 'OVERAGE' : null;
+}
+
+// Counts a delivered or queued scan toward the order - the same serial never counts twice
+function recordWorkOrderScan(part, serial) {
+  const wo = getActiveWorkOrder();
+  if (!wo || !wo.lines.some(l => l.part_number === part)) return;
+  const scanned = wo.scanned[part] || (wo.scanned[part] = []);
+  if (scanned.includes(serial)) return;
+  scanned.push(serial);
+  saveActiveWorkOrder(wo);
+  renderWorkOrder();
+}
+
+// XSS-safe progress bars - part numbers come from the sheet
+function renderWorkOrder() {
+  if (!workOrderPanel) return;
+  const wo = getActiveWorkOrder();
+  workOrderPanel.style.display = wo ? 'block' : 'none';
+  workOrderInput.parentElement.style.display = wo ? 'none' : 'flex';
+  if (!wo) return;
+
+  const total = wo.lines.reduce((sum, line) => sum + line.quantity, 0);
+  const done = wo.lines.reduce((sum, line) => sum + Math.min((wo.scanned[line.part_number] || []).length, line.quantity), 0);
+  workOrderTitle.textContent = `WO ${wo.workOrder} · ${done}/${total}`;
+
+  workOrderProgress.innerHTML = '';
+  wo.lines.forEach(line => {
+    const scanned = (wo.scanned[line.part_number] || []).length;
+    const expected = line.quantity;
+    const row = document.createElement('div');
+    row.className = 'wo-line';
+    row.innerHTML = '<div class="wo-line-label"><span></span><span></span></div><div class="wo-bar"><div class="wo-fill"></div></div>';
+    row.querySelector('.wo-line-label span:first-child').textContent = line.part_number;
+    row.querySelector('.wo-line-label span:last-child').textContent = `${scanned}/${expected}`;
+    const fill = row.querySelector('.wo-fill');
+    fill.style.width = `${expected ? Math.min(scanned / expected, 1) * 100 : 100}%`;
+    if (scanned > expected) fill.classList.add('over');
+    else if (scanned === expected) fill.classList.add('done');
+    workOrderProgress.appendChild(row);
+  });
+}
+
+// Per line: expected vs scanned, plus the expected serials that never turned up
+function getWorkOrderReport(wo) {
+  return wo.lines.map(line => {
+    const scanned = wo.scanned[line.part_number] || [];
+    return {
+      part_number: line.part_number,
+      expected: line.quantity,
+      scanned: scanned.length,
+      missing: Math.max(line.quantity - scanned.length, 0),
+      over: Math.max(scanned.length - line.quantity, 0),
+      missing_serials: line.serials.filter(s => !scanned.includes(s))
+    };
+  });
+}
+
+function renderWorkOrderReport(wo, report) {
+  workOrderReportBody.innerHTML = '';
+
+  const heading = document.createElement('div');
+  heading.className = 'data-label';
+  heading.textContent = `WO ${wo.workOrder} - opened ${formatTimestamp(wo.openedAt)}`;
+  workOrderReportBody.appendChild(heading);
+
+  report.forEach(line => {
+    const row = document.createElement('div');
+    row.className = 'wo-report-line' + (line.missing || line.over ? ' short' : '');
+    const title = document.createElement('strong');
+    title.textContent = `${line.part_number}: ${line.scanned}/${line.expected}`;
+    row.appendChild(title);
+
+    const notes = [];
+    if (line.missing) notes.push(`${line.missing} missing`);
+    if (line.over) notes.push(`${line.over} over`);
+    if (line.missing_serials.length) notes.push(`Not scanned: ${line.missing_serials.join(', ')}`);
+    if (notes.length) {
+      const detail = document.createElement('div');
+      detail.className = 'helper-text';
+      detail.textContent = notes.join(' · ');
+      row.appendChild(detail);
+    }
+    workOrderReportBody.appendChild(row);
+  });
+}
+
+async function closeWorkOrder() {
+  const wo = getActiveWorkOrder();
+  if (!wo) return;
+
+  const report = getWorkOrderReport(wo);
+  const missing = report.reduce((sum, line) => sum + line.missing, 0);
+  if (missing && !confirm(`${missing} unit${missing === 1 ? '' : 's'} still missing. Close work order anyway?`)) return;
+
+  saveActiveWorkOrder(null);
+  renderWorkOrder();
+  renderWorkOrderReport(wo, report);
+  workOrderReportModal.style.display = 'flex';
+  console.log(`📋 Work order ${wo.workOrder} closed - ${missing} missing`);
+
+  const shift = getCurrentShift();
+  const payload = {
+    action: 'WORK_ORDER_CLOSE',
+    work_order: wo.workOrder,
+    operator: operatorInput.value || 'UNNAMED',
+    station: stationSel.value,
+    shift_id: shift ? shift.shiftId : '',
+    opened_at: wo.openedAt,
+    closed_at: new Date().toISOString(),
+    lines: report
+  };
+  await sendRecord(payload);
+}
+
+if (openWorkOrderBtn) openWorkOrderBtn.onclick = () => { initAudio(); openWorkOrder(); };
+if (workOrderInput) {
+  workOrderInput.addEventListener('keydown', (ev) => {
+    if (ev.key === 'Enter') openWorkOrder();
+  });
+}
+if (closeWorkOrderBtn) closeWorkOrderBtn.onclick = () => { initAudio(); closeWorkOrder(); };
+$('#closeWorkOrderReport').onclick = () => { workOrderReportModal.style.display = 'none'; scanInput.focus(); };
+
+// ===== RECEIVING MANIFEST =====
+// A supplier manifest lists the exact serials in a shipment. It's imported from CSV/JSON or
+// fetched by PO number:
+//   lookup manifest { id: 'PO123' } → { status: 'OK', serials: [{ part_number, serial_number }] }
+// Each scan is checked off by serial as EXPECTED, ALREADY_RECEIVED or NOT_ON_MANIFEST and still
+// sent as normal. Closing the receipt reports missing and extra serials and sends the report.
+const manifestPoInput = $('#manifestPoInput');
+const fetchManifestBtn = $('#fetchManifestBtn');
+const manifestFileInput = $('#manifestFile');
+const manifestPanel = $('#manifestPanel');
+const manifestTitle = $('#manifestTitle');
+const manifestProgress = $('#manifestProgress');
+const closeReceiptBtn = $('#closeReceiptBtn');
+const receiptReportModal = $('#receiptReportModal');
+const receiptReportBody = $('#receiptReportBody');
+
+function getReceiptKey() {
+  const op = operatorInput.value.trim() || 'UNNAMED';
+  const st = stationSel.value || 'MAIN';
+  return `receipt_${op}_${st}`;
+}
+
+// { po, source, items: [{ part, serial }], received: { SERIAL: timestamp }, extras: [{ part, serial }], openedAt }
+function getActiveReceipt() {
+  try {
+    return JSON.parse(localStorage.getItem(getReceiptKey()));
+  } catch {
+    return null;
+  }
+}
+
+function saveActiveReceipt(receipt) {
+  if (receipt) localStorage.setItem(getReceiptKey(), JSON.stringify(receipt));
+  else localStorage.removeItem(getReceiptKey());
+}
+
+// Serials are matched case-insensitively with the same cleanup applied to scans
+function manifestKey(serial) { return cleanSerialClient(String(serial || '')).toUpperCase(); }
+
+// Accepts [{ part_number, serial_number }] (or part/serial), plain serial strings, or { po, serials: [...] }
+function normalizeManifestRows(rows) {
+  return rows
+    .map(row => typeof row === 'object' && row !== null
+      ? { part: String(row.part_number || row.part || '').trim(), serial: String(row.serial_number || row.serial || '').trim() }
+      : { part: '', serial: String(row || '').trim() })
+    .filter(row => row.serial);
+}
+
+// First row is a header if it names a serial column; otherwise every line is a bare serial
+function parseManifestCsv(text) {
+  const splitRow = line => line.split(',').map(cell => cell.trim().replace(/^"(.*)"$/, '$1').trim());
+  const lines = text.split(/\r?\n/).filter(line => line.trim());
+  if (!lines.length) return [];
+
+  const header = splitRow(lines[0]).map(h => h.toLowerCase());
+  const serialCol = header.findIndex(h => h.includes('serial'));
+  if (serialCol === -1) return normalizeManifestRows(lines.map(line => splitRow(line)[0]));
+
+  const partCol = header.findIndex(h => h.includes('part'));
+  return normalizeManifestRows(lines.slice(1).map(line => {
+    const cells = splitRow(line);
+    return { serial: cells[serialCol], part: partCol === -1 ? '' : cells[partCol] };
+  }));
+}
+
+function openReceipt(po, source, items) {
+  // Same serial listed twice only needs receiving once
+  const seen = new Set();
+  const unique = items.filter(item => {
+    const key = manifestKey(item.serial);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  saveActiveReceipt({ po, source, items: unique, received: {}, extras: [], openedAt: new Date().toISOString() });
+  renderReceipt();
+  console.log(`📦 Manifest ${po} loaded from ${source}: ${unique.length} serial(s)`);
+  show(`📦 Manifest ${po} - ${unique.length} serials`, 'ok');
+  playSoundSuccess();
+  scanInput.focus();
+}
+
+async function fetchManifest() {
+  const po = manifestPoInput.value.replace(/[\x00-\x1F\x7F]/g, '').trim().toUpperCase();
+  if (!po) {
+    show('❌ Enter or scan a PO number', 'err');
+    playSoundError();
+    return;
+  }
+
+  fetchManifestBtn.disabled = true;
+  try {
+    const data = await backend.lookup(ENDPOINT, 'manifest', { id: po }, deviceCredentials, 15000);
+
+    if (data.status === 'UNAUTHORIZED') {
+      handleUnauthorized();
+    } else if (data.status === 'OK' && Array.isArray(data.serials) && data.serials.length) {
+      manifestPoInput.value = '';
+      openReceipt(po, 'PO', normalizeManifestRows(data.serials));
+    } else {
+      show(`❌ No manifest for PO ${po}`, 'err');
+      playSoundError();
+    }
+  } catch (err) {
+    console.log('Manifest fetch failed:', err.message);
+    show('❌ Manifest fetch failed - import a file instead', 'err');
+    playSoundError();
+  } finally {
+    fetchManifestBtn.disabled = false;
+  }
+}
+
+async function importManifestFile(file) {
+  try {
+    const text = await file.text();
+    let po = file.name.replace(/\.[^.]+$/, '');
+    let items;
+
+    if (/\.json$/i.test(file.name)) {
+      const data = JSON.parse(text);
+      if (!Array.isArray(data) && data.po) po = String(data.po);
+      items = normalizeManifestRows(Array.isArray(data) ? data : data.serials || []);
+    } else {
+      items = parseManifestCsv(text);
+    }
+
+    if (!items.length) throw new Error('No serials found');
+    openReceipt(po, file.name, items);
+  } catch (err) {
+    console.error('Manifest import failed:', err);
+    show(`❌ Manifest import failed - ${err.message}`, 'err');
+    playSoundError();
+  } finally {
+    manifestFileInput.value = '';
+  }
+}
+
+// Returns null (no manifest open), 'EXPECTED', 'ALREADY_RECEIVED' or 'NOT_ON_MANIFEST'
+function checkManifestScan(serial) {
+  const receipt = getActiveReceipt();
+  if (!receipt) return null;
+  const key = manifestKey(serial);
+  if (!receipt.items.some(item => manifestKey(item.serial) === key)) return 'NOT_ON_MANIFEST';
+  return receipt.received[key] ? 'ALREADY_RECEIVED' : 'EXPECTED';
+}
+
+// Checks the serial off, or records it as an extra - only once the scan is logged or queued
+function recordManifestScan(check, part, serial) {
+  const receipt = getActiveReceipt();
+  if (!receipt || !check) return;
+  const key = manifestKey(serial);
+
+  if (check === 'EXPECTED') {
+    receipt.received[key] = new Date().toISOString();
+  } else if (check === 'NOT_ON_MANIFEST' && !receipt.extras.some(e => manifestKey(e.serial) === key)) {
+    receipt.extras.push({ part, serial });
   } else {
-    generalNoteInput.disabled = false;
-    generalNoteInput.style.background = '';
-    if (lockBatchBtn) {
-      lockBatchBtn.textContent = '🔒 Lock Comment';
-      lockBatchBtn.style.background = '#10b981';
-    }
+    return;
   }
+  saveActiveReceipt(receipt);
+  renderReceipt();
 }
 
-const lockBatchBtn = document.getElementById('lockBatchBtn');
-if (lockBatchBtn) {
-  lockBatchBtn.addEventListener('click', () => {
-    const lockKey = getBatchLockKey();
-    const commentKey = getBatchCommentKey();
-    const currentlyLocked = localStorage.getItem(lockKey) === 'true';
-    
-    if (currentlyLocked) {
-      localStorage.setItem(lockKey, 'false');
-      updateBatchLockUI(false);
-      show('🔓 Comment Unlocked', 'ok');
-    } else {
-      const comment = generalNoteInput.value.trim();
-      localStorage.setItem(commentKey, comment);
-      localStorage.setItem(lockKey, 'true');
-      updateBatchLockUI(true);
-      show('🔒 Comment Locked', 'ok');
-    }
-    playSoundSuccess();
+function showManifestFeedback(check) {
+  const receipt = getActiveReceipt();
+  const progress = receipt ? `${Object.keys(receipt.received).length}/${receipt.items.length}` : '';
+  if (check === 'EXPECTED') {
+    show(`✅ ON MANIFEST - ${progress}`, 'ok');
+  } else if (check === 'ALREADY_RECEIVED') {
+    playSoundDuplicate();
+    show('⚠️ ALREADY RECEIVED', 'dup');
+  } else if (check === 'NOT_ON_MANIFEST') {
+    playSoundError();
+    show('❌ NOT ON MANIFEST', 'err');
+  }
+}
+
+function renderReceipt() {
+  if (!manifestPanel) return;
+  const receipt = getActiveReceipt();
+  manifestPanel.style.display = receipt ? 'block' : 'none';
+  manifestPoInput.parentElement.style.display = receipt ? 'none' : 'flex';
+  if (!receipt) return;
+
+  const received = Object.keys(receipt.received).length;
+  manifestTitle.textContent = `PO ${receipt.po} · ${received}/${receipt.items.length} received` +
+    (receipt.extras.length ? ` · ${receipt.extras.length} extra` : '');
+  const fill = manifestProgress.querySelector('.wo-fill');
+  fill.style.width = `${receipt.items.length ? (received / receipt.items.length) * 100 : 0}%`;
+  fill.classList.toggle('done', received === receipt.items.length);
+}
+
+function renderReceiptReport(receipt, missing) {
+  receiptReportBody.innerHTML = '';
+
+  const addSection = (title, rows) => {
+    const heading = document.createElement('div');
+    heading.className = 'data-label';
+    heading.textContent = title;
+    receiptReportBody.appendChild(heading);
+
+    const list = document.createElement('div');
+    list.className = 'shift-summary-list';
+    (rows.length ? rows : [{ part: '', serial: '—' }]).forEach(item => {
+      const row = document.createElement('div');
+      const partEl = document.createElement('span');
+      const serialEl = document.createElement('strong');
+      partEl.textContent = item.part;
+      serialEl.textContent = item.serial;
+      row.appendChild(partEl);
+      row.appendChild(serialEl);
+      list.appendChild(row);
+    });
+    receiptReportBody.appendChild(list);
+  };
+
+  const received = receipt.items.length - missing.length;
+  addSection(`PO ${receipt.po} - ${received}/${receipt.items.length} received`, []);
+  addSection(`Missing (${missing.length})`, missing);
+  addSection(`Not on manifest (${receipt.extras.length})`, receipt.extras);
+}
+
+async function closeReceipt() {
+  const receipt = getActiveReceipt();
+  if (!receipt) return;
+
+  const missing = receipt.items.filter(item => !receipt.received[manifestKey(item.serial)]);
+  if (missing.length && !confirm(`${missing.length} serial${missing.length === 1 ? '' : 's'} not received. Close receipt anyway?`)) return;
+
+  saveActiveReceipt(null);
+  renderReceipt();
+  renderReceiptReport(receipt, missing);
+  receiptReportModal.style.display = 'flex';
+  console.log(`📦 Receipt ${receipt.po} closed - ${missing.length} missing, ${receipt.extras.length} extra`);
+
+  const shift = getCurrentShift();
+  await sendRecord({
+    action: 'RECEIPT_CLOSE',
+    po: receipt.po,
+    source: receipt.source,
+    operator: operatorInput.value || 'UNNAMED',
+    station: stationSel.value,
+    shift_id: shift ? shift.shiftId : '',
+    opened_at: receipt.openedAt,
+    closed_at: new Date().toISOString(),
+    expected_count: receipt.items.length,
+    received_count: receipt.items.length - missing.length,
+    missing: missing.map(item => ({ part_number: item.part, serial_number: item.serial })),
+    extra: receipt.extras.map(item => ({ part_number: item.part, serial_number: item.serial }))
+  });
+}
+
+if (fetchManifestBtn) fetchManifestBtn.onclick = () => { initAudio(); fetchManifest(); };
+if (manifestPoInput) {
+  manifestPoInput.addEventListener('keydown', (ev) => {
+    if (ev.key === 'Enter') fetchManifest();
   });
 }
+if (manifestFileInput) {
+  manifestFileInput.onchange = () => {
+    if (manifestFileInput.files.length) importManifestFile(manifestFileInput.files[0]);
+  };
+}
+if (closeReceiptBtn) closeReceiptBtn.onclick = () => { initAudio(); closeReceipt(); };
+$('#closeReceiptReport').onclick = () => { receiptReportModal.style.display = 'none'; scanInput.focus(); };
 
 historyToggle.onclick = () => {
   historyPanel.classList.toggle('expanded');
-  historyToggle.textContent = historyPanel.classList.contains('expanded') ? '📋 Hide History' : '📋 View Scan History';
-  if (historyPanel.classList.contains('expanded')) renderHistory();
+  const expanded = historyPanel.classList.contains('expanded');
+  historyToggle.textContent = expanded ? '📋 Hide History' : '📋 View Scan History';
+  historyFilterBar.style.display = expanded ? 'grid' : 'none';
+  if (expanded) {
+    populateHistoryFilters();
+    renderHistory();
+  }
 };
 
-operatorInput.onchange = () => { savePrefs(); loadLastScan(); loadBatchComment(); renderHistory(); };
-stationSel.onchange = () => { savePrefs(); loadLastScan(); loadBatchComment(); };
+operatorInput.onchange = () => { savePrefs(); loadLastScan(); loadBatchComment(); renderWorkOrder(); renderReceipt(); renderHistory(); updateShiftBar(); refreshQueueInfo(); };
+stationSel.onchange = () => { savePrefs(); loadLastScan(); loadBatchComment(); renderWorkOrder(); renderReceipt(); renderHistory(); updateShiftBar(); refreshQueueInfo(); };
 
 // REMOVED: Aggressive 30-second connectivity polling that caused cascade failures
 // Now we only check on wake-from-sleep and trust navigator.onLine
@@ -872,6 +3063,11 @@ document.addEventListener('visibilitychange', async () => {
     // If browser says online, do a quick server check
     const online = await checkConnectivity();
     updateNetworkStatus(online);
+    if (online) {
+      applyQueueResults();
+      requestQueueFlush();
+      syncConfig();
+    }
     
     if (wakeLock !== null) {
       requestWakeLock();
@@ -882,7 +3078,232 @@ document.addEventListener('visibilitychange', async () => {
 // Initial status based on browser
 updateNetworkStatus(navigator.onLine);
 
+// ===== OPERATOR SIGN-IN =====
+// Operators sign in by scanning their badge or entering their PIN, checked against the CONFIG
+// operators list: { name, badge, pin_salt, pin_iterations, pin_hash, role }. pin_hash is the
+// PBKDF2-SHA256 hex of the PIN under the operator's own salt (tools/hash-pin.js makes the three
+// fields), so the config cached on the tablet doesn't give PINs away to a lookup table. A bare
+// SHA-256 pin_hash with no salt still signs in, with a warning - a 4-6 digit PIN hashed that way
+// is recovered in moments by anyone holding the tablet. Changing operator or station needs a supervisor PIN
+// (role: 'supervisor'), and a session ends after SESSION_IDLE_MINUTES without a tap or scan.
+// A CONFIG list of plain names (no badges or PINs) keeps the old pick-and-lock behaviour.
+const SESSION_KEY = 'operatorSession';
+const SESSION_CHECK_INTERVAL = 30000;
+
+const authModal = $('#authModal');
+const authTitle = $('#authTitle');
+const authInfo = $('#authInfo');
+const authInput = $('#authInput');
+const authCancel = $('#authCancel');
+const authSubmit = $('#authSubmit');
+const signOutBtn = $('#signOutBtn');
+
 let isLocked = localStorage.getItem('isLocked') === 'true';
+let operatorSession = null; // { operator, method: 'BADGE' | 'PIN' | 'SUPERVISOR', supervisor, signedInAt, lastActivity }
+let authMode = null; // 'SIGN_IN' | 'SUPERVISOR' | 'SETTINGS' while the prompt is open
+let unlockedBy = ''; // Supervisor who unlocked operator/station
+let lastActivity = Date.now();
+
+// CONFIG operators are plain names (legacy) or { name, badge, pin_salt, pin_iterations, pin_hash, role }
+function getOperatorName(op) { return typeof op === 'string' ? op : op.name; }
+
+function signInConfigured() {
+  return OPERATORS_LIST.some(op => op && typeof op === 'object' && (op.badge || op.pin_hash));
+}
+
+const PIN_MIN_ITERATIONS = 10000; // A salted hash with fewer rounds than this is refused
+let warnedUnsaltedPins = false;
+
+const toHex = buffer => Array.from(new Uint8Array(buffer), b => b.toString(16).padStart(2, '0')).join('');
+
+// Unsalted SHA-256 - only for pin_hash values set up before salts
+async function hashPin(pin) {
+  return toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(pin)));
+}
+
+// PBKDF2-SHA256, 256 bits - the salt is used as text, as tools/hash-pin.js does
+async function derivePinHash(pin, salt, iterations) {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt: new TextEncoder().encode(salt), iterations }, key, 256);
+  return toHex(bits);
+}
+
+/**
+ * Whether pin matches a { pin_hash, pin_salt, pin_iterations } record.
+ * Records without a salt are compared as plain SHA-256.
+ */
+async function checkPin(pin, record) {
+  if (!record.pin_hash) return false;
+  const expected = String(record.pin_hash).toLowerCase();
+
+  if (!record.pin_salt) {
+    if (!warnedUnsaltedPins) {
+      console.warn('⚠️ Unsalted PIN hashes in use - re-hash them with tools/hash-pin.js');
+      warnedUnsaltedPins = true;
+    }
+    return await hashPin(pin) === expected;
+  }
+
+  const iterations = Number(record.pin_iterations);
+  if (!Number.isInteger(iterations) || iterations < PIN_MIN_ITERATIONS) {
+    console.warn(`⚠️ PIN hash with ${record.pin_iterations} iterations ignored - needs at least ${PIN_MIN_ITERATIONS}`);
+    return false;
+  }
+  return await derivePinHash(pin, String(record.pin_salt), iterations) === expected;
+}
+
+/**
+ * Looks up an operator by badge barcode or PIN. Returns { operator, method } or null.
+ * The PIN alone identifies the operator, so a PIN shared by two people never matches.
+ * Supervisor checks accept a PIN only - a badge can be picked up off a bench.
+ */
+async function findOperator(credential, supervisorOnly = false) {
+  const candidates = OPERATORS_LIST.filter(op => op && typeof op === 'object' && (!supervisorOnly || op.role === 'supervisor'));
+
+  if (!supervisorOnly) {
+    const badgeMatch = candidates.find(op => op.badge && String(op.badge).toUpperCase() === credential.toUpperCase());
+    if (badgeMatch) return { operator: badgeMatch, method: 'BADGE' };
+  }
+
+  // Each operator has their own salt, so the PIN is derived once per candidate
+  const checks = await Promise.all(candidates.map(op => checkPin(credential, op)));
+  const pinMatches = candidates.filter((op, i) => checks[i]);
+  if (pinMatches.length > 1) console.warn('⚠️ PIN matches more than one operator - ask them to use their badge');
+  return pinMatches.length === 1 ? { operator: pinMatches[0], method: 'PIN' } : null;
+}
+
+function saveSession() {
+  if (operatorSession) localStorage.setItem(SESSION_KEY, JSON.stringify(operatorSession));
+  else localStorage.removeItem(SESSION_KEY);
+}
+
+function setLocked(locked) {
+  isLocked = locked;
+  localStorage.setItem('isLocked', locked ? 'true' : 'false');
+  if (locked) unlockedBy = '';
+  updateLock();
+}
+
+function startSession(operator, method, supervisor = '') {
+  const now = new Date().toISOString();
+  operatorSession = { operator, method, supervisor, signedInAt: now, lastActivity: now };
+  lastActivity = Date.now();
+  saveSession();
+
+  operatorInput.value = operator;
+  operatorInput.onchange();
+  setLocked(true);
+  console.log(`👤 ${operator} signed in (${method}${supervisor ? ` by ${supervisor}` : ''})`);
+  show(`👤 Signed in: ${operator}`, 'ok');
+  playSoundSuccess();
+}
+
+function endSession(reason) {
+  if (operatorSession) console.log(`👤 ${operatorSession.operator} signed out (${reason})`);
+  operatorSession = null;
+  saveSession();
+
+  operatorInput.value = '';
+  operatorInput.onchange();
+  updateLock();
+}
+
+// Resumes a session that survived a reload, unless it has gone idle or the operator was removed
+function restoreSession() {
+  if (!signInConfigured()) return;
+
+  let saved = null;
+  try {
+    saved = JSON.parse(localStorage.getItem(SESSION_KEY));
+  } catch {}
+
+  const idleMs = saved ? Date.now() - new Date(saved.lastActivity).getTime() : 0;
+  const known = saved && OPERATORS_LIST.some(op => getOperatorName(op) === saved.operator);
+  if (saved && known && !(SESSION_IDLE_MINUTES && idleMs >= SESSION_IDLE_MINUTES * 60000)) {
+    operatorSession = saved;
+    lastActivity = Date.now() - idleMs;
+    operatorInput.value = saved.operator;
+    operatorInput.onchange();
+    setLocked(true);
+    console.log(`👤 Session resumed: ${saved.operator}`);
+    return;
+  }
+
+  operatorSession = saved;
+  endSession('expired');
+  openAuthPrompt('SIGN_IN');
+}
+
+function checkSessionIdle() {
+  if (!operatorSession || isProcessing) return;
+
+  if (SESSION_IDLE_MINUTES && Date.now() - lastActivity >= SESSION_IDLE_MINUTES * 60000) {
+    endSession('idle');
+    openAuthPrompt('SIGN_IN', `Signed out after ${SESSION_IDLE_MINUTES} minutes idle. Scan your badge or enter your PIN.`);
+    return;
+  }
+
+  // Persisted here rather than on every tap so a reload can still tell how long we've been idle
+  operatorSession.lastActivity = new Date(lastActivity).toISOString();
+  saveSession();
+}
+
+const AUTH_PROMPTS = {
+  SIGN_IN: { title: '👤 Operator Sign In', info: 'Scan your badge or enter your PIN.', submit: 'Sign In' },
+  SUPERVISOR: { title: '🔑 Supervisor PIN', info: 'A supervisor PIN is needed to change operator or station.', submit: 'Unlock' },
+  SETTINGS: { title: '🔑 Admin PIN', info: 'Device settings need the admin PIN or a supervisor PIN.', submit: 'Open' }
+};
+
+function openAuthPrompt(mode, message) {
+  const prompt = AUTH_PROMPTS[mode];
+  authMode = mode;
+  authTitle.textContent = prompt.title;
+  authInfo.textContent = message || prompt.info;
+  authSubmit.textContent = prompt.submit;
+  authCancel.style.display = mode === 'SIGN_IN' ? 'none' : 'inline-flex';
+  authInput.value = '';
+  authModal.style.display = 'flex';
+  authInput.focus();
+}
+
+function closeAuthPrompt() {
+  authModal.style.display = 'none';
+  authMode = null;
+  authInput.value = '';
+  if (!scanInput.disabled) scanInput.focus();
+}
+
+async function submitAuthPrompt() {
+  // Badge scanners may append control characters - same cleanup as a barcode scan
+  const credential = authInput.value.replace(/[\x00-\x1F\x7F]/g, '').trim();
+  authInput.value = '';
+  if (!credential || !authMode) return;
+
+  const mode = authMode;
+  const match = mode === 'SETTINGS' ? await findSettingsAdmin(credential) : await findOperator(credential, mode === 'SUPERVISOR');
+  if (!match) {
+    authInfo.textContent = mode === 'SIGN_IN' ? '❌ Badge or PIN not recognised - try again'
+      : mode === 'SETTINGS' ? '❌ Not an admin or supervisor PIN' : '❌ Not a supervisor PIN';
+    playSoundError();
+    authInput.focus();
+    return;
+  }
+
+  closeAuthPrompt();
+  const name = getOperatorName(match.operator);
+  if (mode === 'SIGN_IN') {
+    startSession(name, match.method);
+  } else if (mode === 'SETTINGS') {
+    console.log(`⚙ Settings opened by ${name}`);
+    openSettings(name);
+  } else {
+    setLocked(false);
+    unlockedBy = name;
+    console.log(`🔓 Unlocked by supervisor ${name}`);
+    show(`🔓 Unlocked by ${name}`, 'ok');
+    playSoundSuccess();
+  }
+}
 
 function updateLock() {
   const lockBtnEl = document.getElementById('lockBtn');
@@ -900,6 +3321,8 @@ function updateLock() {
     lockBtnEl.style.display = 'inline-flex';
     unlockBtnEl.style.display = 'none';
   }
+
+  if (signOutBtn) signOutBtn.style.display = operatorSession ? 'inline-flex' : 'none';
 }
 
 function attachLockHandlers() {
@@ -919,10 +3342,18 @@ function attachLockHandlers() {
       playSoundError();
       return;
     }
+
+    // A supervisor picked a different operator - they become the signed-in operator
+    if (signInConfigured() && (!operatorSession || operatorSession.operator !== opValue)) {
+      if (!unlockedBy) {
+        openAuthPrompt('SUPERVISOR');
+        return;
+      }
+      startSession(opValue, 'SUPERVISOR', unlockedBy);
+      return;
+    }
     
-    isLocked = true;
-    localStorage.setItem('isLocked', 'true');
-    updateLock();
+    setLocked(true);
     show('🔒 Locked!', 'ok');
     playSoundSuccess();
   });
@@ -931,17 +3362,43 @@ function attachLockHandlers() {
     e.preventDefault();
     e.stopPropagation();
     initAudio();
+
+    if (signInConfigured()) {
+      openAuthPrompt('SUPERVISOR');
+      return;
+    }
     
     if (confirm('Unlock to change operator/station?')) {
-      isLocked = false;
-      localStorage.setItem('isLocked', 'false');
-      updateLock();
+      setLocked(false);
       show('🔓 Unlocked', 'ok');
       playSoundSuccess();
     }
   });
+
+  if (signOutBtn) {
+    signOutBtn.addEventListener('click', function(e) {
+      e.preventDefault();
+      initAudio();
+      endSession('signed out');
+      show('👋 Signed out', 'ok');
+      openAuthPrompt('SIGN_IN');
+    });
+  }
 }
 
+authSubmit.onclick = submitAuthPrompt;
+authCancel.onclick = closeAuthPrompt;
+authInput.addEventListener('keydown', (ev) => {
+  if (ev.key === 'Enter') submitAuthPrompt();
+});
+
+// Any tap or key press (including a wedge scan) counts as activity
+['pointerdown', 'keydown'].forEach(evt => document.addEventListener(evt, () => { lastActivity = Date.now(); }, true));
+setInterval(checkSessionIdle, SESSION_CHECK_INTERVAL);
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'visible') checkSessionIdle();
+});
+
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', attachLockHandlers);
 } else {
@@ -949,12 +3406,51 @@ if (document.readyState === 'loading') {
 }
 
 // === HISTORY NOTE LOGIC ===
+// Notes are saved on the scan's history record first, then sent as a CORRECTION that names the
+// exact scan_id - queued like a scan if it can't go now. Each note tracks its sync state
+// (SENDING, QUEUED, SENT, FAILED) and the history row shows the least-synced one.
+const NOTE_SYNC_LABELS = { SENT: 'sent', QUEUED: 'queued', SENDING: 'sending', FAILED: 'not sent' };
+
+function buildNoteIndicator(notes) {
+  const states = notes.map(n => n.sync || 'SENT');
+  const state = ['FAILED', 'QUEUED', 'SENDING'].find(s => states.includes(s)) || 'SENT';
+  const el = document.createElement('span');
+  el.className = `history-note note-${state.toLowerCase()}`;
+  el.textContent = `📝 ${notes.length} · ${NOTE_SYNC_LABELS[state]}`;
+  el.title = notes.map(n => `${n.text} (${NOTE_SYNC_LABELS[n.sync || 'SENT']})`).join('\n');
+  return el;
+}
+
+// Note is kept on the history record before anything is sent, so it survives a failed send
+async function addHistoryNote(scanId, note) {
+  const item = await getHistoryItem(scanId);
+  if (!item) return false;
+  item.notes = [...(item.notes || []), note];
+  await putHistoryItem(item);
+  renderHistory();
+  return true;
+}
+
+async function updateNoteSync(scanId, noteId, sync) {
+  if (!scanId || !noteId) return;
+  try {
+    const item = await getHistoryItem(scanId);
+    const note = item && (item.notes || []).find(n => n.noteId === noteId);
+    if (!note) return;
+    note.sync = sync;
+    await putHistoryItem(item);
+    renderHistory();
+  } catch (e) {}
+}
+
 historyPanel.addEventListener('click', (e) => {
-  if (e.target.classList.contains('history-edit-btn')) {
+  if (e.target.classList.contains('history-void-btn')) {
+    openVoidModal(e.target.dataset.scanId);
+  } else if (e.target.classList.contains('history-edit-btn')) {
     const part = e.target.getAttribute('data-part');
     const serial = e.target.getAttribute('data-serial');
     
-    currentEditItem = { part, serial };
+    currentEditItem = { part, serial, scanId: e.target.dataset.scanId };
     modalContext.textContent = `Attaching note to: ${part} / ${serial}`;
     correctionText.value = '';
     correctionModal.style.display = 'flex';
@@ -970,31 +3466,166 @@ btnCancelCorrection.onclick = () => {
 btnSaveCorrection.onclick = async () => {
   if (!currentEditItem || !correctionText.value.trim()) return;
 
-  const noteContent = correctionText.value.trim();
-  const originalBtnText = btnSaveCorrection.textContent;
-  btnSaveCorrection.textContent = 'Saving...';
-  btnSaveCorrection.disabled = true;
+  const target = currentEditItem;
+  const note = { noteId: generateUUID(), text: correctionText.value.trim(), at: new Date().toISOString(), sync: 'SENDING' };
 
-  const payload = {
-    secret: SHARED_SECRET,
+  try {
+    if (!(await addHistoryNote(target.scanId, note))) throw new Error('Scan not in history');
+  } catch (err) {
+    // Keep the modal open so the text isn't lost
+    console.error('Note save failed:', err);
+    show('Error Saving Note', 'err');
+    return;
+  }
+  correctionModal.style.display = 'none';
+  currentEditItem = null;
+
+  const status = await sendRecord({
     action: 'CORRECTION',
-    part_number: currentEditItem.part,
-    serial_number: currentEditItem.serial,
-    note: noteContent
-  };
+    note_id: note.noteId,
+    scan_id: target.scanId,
+    part_number: target.part,
+    serial_number: target.serial,
+    note: note.text,
+    operator: operatorInput.value || 'UNNAMED',
+    station: stationSel.value
+  });
 
-  const status = await send(payload);
+  const sync = status === 'OK' || status === 'DUPLICATE' ? 'SENT' : status === 'QUEUED' ? 'QUEUED' : 'FAILED';
+  await updateNoteSync(target.scanId, note.noteId, sync);
+  if (sync === 'SENT') show('Note Attached', 'ok');
+  else if (sync === 'QUEUED') show('📥 Note queued - goes out after its scan, once online', 'queued');
+  else show('Error Sending Note - saved on tablet', 'err');
+};
 
-  if (status === 'OK') {
-    show('Note Attached', 'ok');
-    correctionModal.style.display = 'none';
-  } else {
-    show('Error Saving Note', 'err');
+// ===== VOID =====
+// Voids a logged scan with a reason code. The sheet gets a VOID record pointing at the original
+// scan_id; locally the scan is marked voided, drops out of shift, work order and manifest totals,
+// and leaves the duplicate index so the unit can be scanned again. CONFIG tab: void_reasons,
+// void_requires_supervisor.
+const voidModal = $('#voidModal');
+const voidContext = $('#voidContext');
+const voidReason = $('#voidReason');
+const voidPin = $('#voidPin');
+const btnSaveVoid = $('#saveVoid');
+let currentVoidItem = null;
+
+// CONFIG reasons are { code, label } or plain labels
+function getVoidReasons() {
+  return VOID_REASONS.map(r => typeof r === 'string'
+    ? { code: r.trim().toUpperCase().replace(/[^A-Z0-9]+/g, '_'), label: r }
+    : { code: r.code, label: r.label || r.code });
+}
+
+async function openVoidModal(scanId) {
+  const item = await getHistoryItem(scanId).catch(() => null);
+  if (!item || item.voided) return;
+
+  currentVoidItem = item;
+  voidContext.textContent = `Void ${item.part} / ${item.serial} (${formatTimestamp(item.timestamp)})`;
+  voidReason.innerHTML = '<option value="" disabled selected>Select reason</option>';
+  getVoidReasons().forEach(reason => {
+    const option = document.createElement('option');
+    option.value = reason.code;
+    option.textContent = reason.label;
+    voidReason.appendChild(option);
+  });
+  voidPin.value = '';
+  voidPin.style.display = VOID_REQUIRES_SUPERVISOR ? 'block' : 'none';
+  voidModal.style.display = 'flex';
+}
+
+function closeVoidModal() {
+  voidModal.style.display = 'none';
+  currentVoidItem = null;
+}
+
+// Scans that count toward work orders and receipts and hold the serial's duplicate index entry
+const SCAN_COUNTED_STATUSES = ['OK', 'QUEUED'];
+
+// Takes a voided scan back out of the open work order and receipt
+function releaseBatchScan(item) {
+  const wo = getActiveWorkOrder();
+  const woScanned = wo && wo.scanned[item.part];
+  if (woScanned && woScanned.includes(item.serial)) {
+    woScanned.splice(woScanned.indexOf(item.serial), 1);
+    saveActiveWorkOrder(wo);
+    renderWorkOrder();
   }
 
-  btnSaveCorrection.textContent = originalBtnText;
-  btnSaveCorrection.disabled = false;
-};
+  const receipt = getActiveReceipt();
+  if (receipt) {
+    const key = manifestKey(item.serial);
+    delete receipt.received[key];
+    receipt.extras = receipt.extras.filter(e => manifestKey(e.serial) !== key);
+    saveActiveReceipt(receipt);
+    renderReceipt();
+  }
+}
+
+async function saveVoid() {
+  const item = currentVoidItem;
+  const reason = getVoidReasons().find(r => r.code === voidReason.value);
+  if (!item || !reason) {
+    show('❌ Select a reason', 'err');
+    playSoundError();
+    return;
+  }
+
+  let authorizedBy = '';
+  if (VOID_REQUIRES_SUPERVISOR) {
+    const match = voidPin.value.trim() ? await findOperator(voidPin.value.trim(), true) : null;
+    if (!match) {
+      voidPin.value = '';
+      show('❌ Not a supervisor PIN', 'err');
+      playSoundError();
+      return;
+    }
+    authorizedBy = getOperatorName(match.operator);
+  }
+
+  const voided = { reasonCode: reason.code, reason: reason.label, by: operatorInput.value || 'UNNAMED', authorizedBy, at: new Date().toISOString() };
+  // Nothing goes to the sheet unless the tablet has the void too, so the two can't disagree
+  try {
+    await putHistoryItem({ ...item, voided });
+  } catch (err) {
+    console.error('Void save failed:', err);
+    show('❌ Void not saved - Try again', 'err');
+    playSoundError();
+    return;
+  }
+  item.voided = voided;
+  closeVoidModal();
+
+  // A DUPLICATE row is a repeat of a scan that still stands - only the scan that
+  // counted gives back its work order, receipt and duplicate index entries
+  if (SCAN_COUNTED_STATUSES.includes(item.status)) {
+    releaseBatchScan(item);
+    removeIndexedScan(item.part, item.serial).catch(() => {});
+  }
+  renderHistory();
+  updateShiftBar();
+  console.log(`🚫 Voided ${item.part} / ${item.serial} (${reason.code})`);
+  show(`🚫 VOIDED - ${reason.label}`, 'dup');
+  playSoundSuccess();
+
+  await sendRecord({
+    action: 'VOID',
+    scan_id: item.scanId,
+    part_number: item.part,
+    serial_number: item.serial,
+    reason_code: reason.code,
+    reason: reason.label,
+    operator: item.voided.by,
+    station: stationSel.value,
+    shift_id: item.shiftId || '',
+    authorized_by: authorizedBy,
+    voided_at: item.voided.at
+  });
+}
+
+$('#cancelVoid').onclick = closeVoidModal;
+btnSaveVoid.onclick = saveVoid;
 
 let commentTapCount = 0;
 $('#generalNote').addEventListener('click', () => {
@@ -1009,8 +3640,97 @@ $('#generalNote').addEventListener('click', () => {
   setTimeout(() => commentTapCount = 0, 500);
 });
 
+// ===== LIVE CONFIG SYNC =====
+// Supervisors edit PART_MAP / CONFIG mid-shift, so tablets poll for changes on wake
+// and on an interval and apply them without a reload.
+const CONFIG_POLL_INTERVAL = 5 * 60 * 1000; // 5 minutes
+let isSyncingConfig = false;
+
+// Returns true if the config is current (changed or not), false if the check failed
+async function syncConfig() {
+  if (isSyncingConfig || !navigator.onLine) return false;
+  isSyncingConfig = true;
+  const previousVersion = configVersion;
+
+  try {
+    const ok = await fetchPartNumberMap();
+    if (ok && configVersion !== previousVersion) {
+      // populate* keep the current (and any locked) selection
+      populateOperators();
+      populateStations();
+      // First config with badges/PINs - operators have to sign in from here on
+      if (!operatorSession && !authMode) restoreSession();
+      console.log(`🔄 Config updated live: v${previousVersion} → v${configVersion}`);
+      if (previousVersion && !isProcessing) show('🔄 Part Number Map updated', 'ok');
+    }
+    if (ok) seedDuplicateIndex();
+    return ok;
+  } finally {
+    isSyncingConfig = false;
+  }
+}
+
+setInterval(syncConfig, CONFIG_POLL_INTERVAL);
+
+// ===== DEVICE HEARTBEAT =====
+// Every tablet reports in on an interval so a dead battery, a stuck queue or an old version
+// shows up in the fleet view (mock-server: /admin/fleet) before anyone has to complain.
+// A heartbeat is only worth anything when it's current, so it isn't retried or queued.
+const HEARTBEAT_INTERVAL = 5 * 60 * 1000; // 5 minutes
+const LAST_SCAN_OK_KEY = 'lastSuccessfulScanAt';
+
+// Scans logged OK live or delivered from the queue - keeps the latest time
+function recordSuccessfulScan(at) {
+  if (!at || at <= (localStorage.getItem(LAST_SCAN_OK_KEY) || '')) return;
+  localStorage.setItem(LAST_SCAN_OK_KEY, at);
+}
+
+async function buildHeartbeat() {
+  const queued = await getQueuedScans().catch(() => []);
+  const shift = getCurrentShift();
+  return {
+    action: 'HEARTBEAT',
+    device_id: getDeviceId(),
+    app_version: APP_VERSION,
+    sent_at: new Date().toISOString(),
+    battery_level: batteryState ? batteryState.level : null,
+    battery_charging: batteryState ? batteryState.charging : null,
+    online: networkOnline,
+    consecutive_failures: consecutiveFailures,
+    map_size: Object.keys(PART_NUMBER_MAP).length,
+    config_version: configVersion || '',
+    queue_pending: queued.filter(e => e.status !== 'FAILED').length,
+    queue_failed: queued.filter(e => e.status === 'FAILED').length,
+    last_scan_ok_at: localStorage.getItem(LAST_SCAN_OK_KEY) || '',
+    operator: operatorInput.value || '',
+    station: stationSel.value || '',
+    shift_id: shift ? shift.shiftId : ''
+  };
+}
+
+async function sendHeartbeat() {
+  if (!navigator.onLine || enrollmentPromise) return;
+
+  try {
+    const data = await backend.submitRecord(ENDPOINT, await buildHeartbeat(), deviceCredentials, SEND_TIMEOUT);
+    if (data.status === 'UNAUTHORIZED') handleUnauthorized();
+  } catch (err) {
+    console.log('Heartbeat failed:', err.message);
+  }
+}
+
+setInterval(sendHeartbeat, HEARTBEAT_INTERVAL);
+
 // Init
 // We wrap the init sequence in an async function to wait for the map and config to load.
+function enableScanning(placeholder) {
+  scanInput.disabled = false;
+  scanInput.placeholder = placeholder;
+  scanInput.style.opacity = '1';
+  scanInput.style.cursor = 'text';
+  scanInput.focus();
+}
+
 async function initApp() {
   // CRITICAL: Disable scan input until map is loaded
   scanInput.disabled = true;
@@ -1022,10 +3742,44 @@ async function initApp() {
   loadPrefs();
   loadBatchComment();
   loadLastScan();
+  renderWorkOrder();
+  renderReceipt();
+  updateShiftBar();
   updateLock();
+  refreshQueueInfo();
+  updateMapStatus();
+  migrateLocalHistory().then(pruneOldHistory);
+
+  // No token is fine until the backend asks for one - see DEVICE ENROLLMENT
+  deviceCredentials = await loadDeviceCredentials();
+
+  // Start from the cached map so a slow or unreachable endpoint doesn't block the shift
+  const cache = loadConfigCache();
+  if (cache && applyConfigData(cache.data)) {
+    configVersion = cache.version;
+    configFetchedAt = cache.fetchedAt;
+    updateMapStatus();
+    populateOperators();
+    populateStations();
+    loadPrefs();
+    enableScanning('✅ Ready to scan');
+    restoreSession();
+    sendHeartbeat();
+    console.log(`✅ Application Ready from cached map v${cache.version} (${formatTimestamp(cache.fetchedAt)})`);
+
+    // Refresh in the background - if this fails we keep scanning on the cached map
+    if (!(await syncConfig())) console.warn('⚠️ Map refresh failed - continuing with cached map');
+    return;
+  }
 
-  // CRITICAL: Await the map and config fetch before populating dropdowns
-  const mapLoaded = await fetchPartNumberMap();
+  // CRITICAL: No cache yet - await the map and config fetch before populating dropdowns.
+  // A backend that wants this tablet enrolled first gets its approval, then the map.
+  let mapLoaded = await fetchPartNumberMap();
+  if (!mapLoaded && enrollmentPromise) {
+    scanInput.placeholder = '🔐 Waiting for tablet approval...';
+    await enrollmentPromise.promise;
+    mapLoaded = await fetchPartNumberMap();
+  }
 
   // Populate operator and station dropdowns from Google Sheet or fallback
   populateOperators();
@@ -1036,11 +3790,8 @@ async function initApp() {
 
   // Enable scan input ONLY if map loaded successfully
   if (mapLoaded) {
-    scanInput.disabled = false;
-    scanInput.placeholder = '✅ Ready to scan';
-    scanInput.style.opacity = '1';
-    scanInput.style.cursor = 'text';
-    scanInput.focus();
+    enableScanning('✅ Ready to scan');
+    seedDuplicateIndex();
     console.log('✅ Application Ready. Part Number Map loaded.');
     console.log(`📊 Part Number Map: ${Object.keys(PART_NUMBER_MAP).length} entries`);
   } else {
@@ -1050,6 +3801,9 @@ async function initApp() {
     console.error('❌ Application NOT READY. Part Number Map failed to load.');
     show('❌ RELOAD PAGE - Map failed to load', 'err');
   }
+  restoreSession();
+  // Reported whether or not the map loaded - a tablet without one is exactly what the fleet view should flag
+  sendHeartbeat();
 
   console.log(`📊 Operators: ${OPERATORS_LIST.length > 0 ? OPERATORS_LIST.length : 'Using fallback'}`);
   console.log(`📊 Stations: ${STATIONS_LIST.length > 0 ? STATIONS_LIST.length : 'Using fallback'}`);
@@ -1059,11 +3813,14 @@ document.body.addEventListener('touchstart', unlockAudioOnFirstTap);
 scanInput.focus();
 
 // === BATTERY STATUS API ===
+let batteryState = null; // { level (percent), charging } once the Battery API has answered - sent with the heartbeat
+
 function updateBatteryInfo(battery) {
   const batteryEl = document.getElementById('batteryStatus');
+  const percentage = Math.round(battery.level * 100);
+  batteryState = { level: percentage, charging: battery.charging };
   if (!batteryEl) return;
 
-  const percentage = Math.round(battery.level * 100);
   const chargingIcon = battery.charging ? '⚡' : '🔋';
   
   batteryEl.textContent = `${chargingIcon} ${percentage}%`;
@@ -1096,10 +3853,110 @@ async function startBatteryMonitoring() {
 
 startBatteryMonitoring();
 
-// SERVICE WORKER REGISTRATION
+// Apply deliveries made while the tab was closed, then deliver anything still waiting
+applyQueueResults().then(() => {
+  refreshQueueInfo();
+  requestQueueFlush();
+});
+
+// ===== APP UPDATES =====
+// A new service worker installs in the background and then waits (service-worker.js only
+// skipWaiting()s over workers from before this banner, whose pages can't ask). The banner offers the update; it's applied only once the scanner is idle and
+// nothing is waiting in the queue, then the page reloads onto the new version.
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000; // Look for a new deploy every hour
+const UPDATE_IDLE_RETRY = 5000;
+
+const updateBanner = $('#updateBanner');
+const updateInfo = $('#updateInfo');
+const updateBtn = $('#updateBtn');
+let waitingWorker = null;
+let updateRequested = false;
+let updateTimer = null;
+
+$('#appVersion').textContent = `v${APP_VERSION} (${APP_BUILD_DATE})`;
+
+// The waiting worker's { version, buildDate }, or null if it doesn't answer (older versions)
+function askWorkerVersion(worker) {
+  return new Promise(resolve => {
+    const channel = new MessageChannel();
+    const timeout = setTimeout(() => resolve(null), 3000);
+    channel.port1.onmessage = (event) => {
+      clearTimeout(timeout);
+      resolve(event.data);
+    };
+    worker.postMessage({ type: 'GET_VERSION' }, [channel.port2]);
+  });
+}
+
+async function showUpdateBanner(worker) {
+  waitingWorker = worker;
+  const next = await askWorkerVersion(worker);
+  updateInfo.textContent = next ? `⬆ Update available: v${next.version} (${next.buildDate})` : '⬆ Update available';
+  updateBanner.classList.add('show');
+  console.log(`⬆ Update waiting${next ? `: v${next.version}` : ''}`);
+}
+
+async function isIdleForUpdate() {
+  if (isProcessing) return false;
+  const queued = await getQueuedScans().catch(() => []);
+  // FAILED entries only move when the operator retries them - they survive the update in IndexedDB
+  return !queued.some(e => e.status !== 'FAILED');
+}
+
+async function applyUpdateWhenIdle() {
+  clearTimeout(updateTimer);
+  if (!waitingWorker) return;
+
+  if (!(await isIdleForUpdate())) {
+    updateInfo.textContent = '⏳ Update will install once the scanner is idle and the queue is sent';
+    updateTimer = setTimeout(applyUpdateWhenIdle, UPDATE_IDLE_RETRY);
+    return;
+  }
+  updateInfo.textContent = '⬆ Updating...';
+  waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+}
+
+function watchForUpdates(registration) {
+  if (registration.waiting && navigator.serviceWorker.controller) showUpdateBanner(registration.waiting);
+
+  registration.addEventListener('updatefound', () => {
+    const worker = registration.installing;
+    if (!worker) return;
+    worker.addEventListener('statechange', () => {
+      // No controller means this is the first install, not an update
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdateBanner(worker);
+    });
+  });
+
+  setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_INTERVAL);
+}
+
+updateBtn.onclick = () => {
+  updateRequested = true;
+  updateBtn.disabled = true;
+  applyUpdateWhenIdle();
+};
+
 if ('serviceWorker' in navigator) {
+  // The new worker took over - reload onto its version, but only when we asked for it
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (updateRequested) location.reload();
+  });
+
   window.addEventListener('load', () => {
-    navigator.serviceWorker.register('./service-worker.js').catch(() => {});
+    navigator.serviceWorker.register('./service-worker.js')
+      .then(async (registration) => {
+        watchForUpdates(registration);
+        // Periodic sync is the fallback for flushing the queue while the screen is off
+        if ('periodicSync' in registration) {
+          try {
+            await registration.periodicSync.register(QUEUE_SYNC_TAG, { minInterval: 15 * 60 * 1000 });
+          } catch (err) {
+            console.log('Periodic sync not permitted:', err.message);
+          }
+        }
+      })
+      .catch(err => console.error('❌ Service worker registration failed:', err));
   });
 }
 
@@ -0,0 +1,176 @@
+// ===== SeeScan Backend Adapters =====
+// Everything the app and service worker send to or fetch from the backend goes through an
+// adapter, so nothing else depends on one backend's quirks. Adapters share the same JSON
+// bodies and { status, ... } answers; they differ in URLs, headers and how the device token
+// travels. The adapter name and endpoint are picked on the tablet (⚙ Settings).
+//
+// An adapter is { name, label } plus, all async (auth is { deviceId, token } or null):
+//   submitScan(endpoint, payload, auth, timeout)        - scans (no action)
+//   submitNote(endpoint, payload, auth, timeout)        - CORRECTION notes
+//   submitRecord(endpoint, payload, auth, timeout)      - every other action
+//   fetchConfig(endpoint, { since }, auth, timeout)     - Part Number Map, operators, stations, settings
+//   lookup(endpoint, resource, params, auth, timeout)   - enrollStatus, recentScans, workOrder, manifest
+//   ping(endpoint, timeout)                             - true if the backend answered
+//   isConfigRequest(url)                                - whether a GET URL is a fetchConfig() call,
+//                                                         so the service worker can keep the last config
+// The submit, fetch and lookup calls resolve with the parsed answer. Network errors and
+// timeouts are thrown as-is; an HTTP error or a body that isn't JSON throws a BackendError.
+// Loaded with a <script> tag in the page and importScripts() in the service worker,
+// so nothing in here may touch the DOM or localStorage.
+
+const BACKEND_ADAPTERS = {};
+const DEFAULT_BACKEND_ADAPTER = 'apps-script';
+// Also where scans queued before the endpoint was stored with each entry were bound for
+const DEFAULT_ENDPOINT = 'https://script.google.com/macros/s/AKfycbyZio2iE1piL2hczpUgDx26EBn0_NxAj5o9vlFG6a8JoRD9lDu-B7VOH903_ArWaF4t/exec';
+const BACKEND_ADAPTER_METHODS = ['submitScan', 'submitNote', 'submitRecord', 'fetchConfig', 'lookup', 'ping', 'isConfigRequest'];
+
+function registerBackendAdapter(adapter) {
+  if (!adapter.name || BACKEND_ADAPTER_METHODS.some(method => typeof adapter[method] !== 'function')) {
+    throw new Error(`Backend adapter needs a name and ${BACKEND_ADAPTER_METHODS.join(', ')}`);
+  }
+  BACKEND_ADAPTERS[adapter.name] = adapter;
+}
+
+// Unknown or missing names (queue entries from before adapters existed) get the default -
+// those entries have no endpoint either and go to DEFAULT_ENDPOINT
+function getBackendAdapter(name) {
+  return BACKEND_ADAPTERS[name] || BACKEND_ADAPTERS[DEFAULT_BACKEND_ADAPTER];
+}
+
+// kind: 'HTTP' (the server answered with an error status) or 'PARSE' (the answer wasn't JSON)
+function backendError(kind, message) {
+  const err = new Error(message);
+  err.name = 'BackendError';
+  err.kind = kind;
+  return err;
+}
+
+async function fetchBackendJson(url, init, timeout) {
+  const res = await fetch(url, { cache: 'no-cache', ...init, signal: AbortSignal.timeout(timeout) });
+  if (!res.ok) throw backendError('HTTP', `Server returned ${res.status} ${res.statusText}`);
+
+  const text = await res.text();
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw backendError('PARSE', 'Server answered with something other than JSON');
+  }
+}
+
+// Empty values are left out so optional params don't show up as ?since=
+function backendQuery(params) {
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') query.set(key, value);
+  });
+  return query.toString();
+}
+
+// Scans, notes and other records each have their own call - see the interface above
+function submitToBackend(adapter, endpoint, payload, auth, timeout) {
+  if (!payload.action) return adapter.submitScan(endpoint, payload, auth, timeout);
+  if (payload.action === 'CORRECTION') return adapter.submitNote(endpoint, payload, auth, timeout);
+  return adapter.submitRecord(endpoint, payload, auth, timeout);
+}
+
+// ===== Google Apps Script =====
+// doPost takes every write at the /exec URL. The body goes out without a Content-Type so the
+// request stays "simple" - Apps Script can't answer a CORS preflight - and the answer comes
+// from a redirect to script.googleusercontent.com, hence redirect: 'follow'.
+// doGet switches on query flags (?getMap=true, ?ping=1, ...). The token rides in the body
+// or, for GETs, the query string.
+const APPS_SCRIPT_LOOKUPS = {
+  enrollStatus: params => ({ enrollStatus: 1, ...params }),
+  recentScans: params => ({ getRecentScans: true, ...params }),
+  workOrder: ({ id }) => ({ getWorkOrder: id }),
+  manifest: ({ id }) => ({ getManifest: id })
+};
+
+// Auth is added at send time so queued payloads never hold a token that may since have been revoked
+function appsScriptAuth(auth) {
+  return auth && auth.token ? { device_id: auth.deviceId, device_token: auth.token } : {};
+}
+
+function appsScriptPost(endpoint, payload, auth, timeout) {
+  return fetchBackendJson(endpoint, {
+    method: 'POST',
+    redirect: 'follow',
+    body: JSON.stringify({ ...payload, ...appsScriptAuth(auth) })
+  }, timeout);
+}
+
+function appsScriptGet(endpoint, params, auth, timeout) {
+  return fetchBackendJson(`${endpoint}?${backendQuery({ ...params, ...appsScriptAuth(auth) })}`, { method: 'GET' }, timeout);
+}
+
+registerBackendAdapter({
+  name: 'apps-script',
+  label: 'Google Apps Script',
+  submitScan: appsScriptPost,
+  submitNote: appsScriptPost,
+  submitRecord: appsScriptPost,
+  fetchConfig: (endpoint, params, auth, timeout) => appsScriptGet(endpoint, { getMap: true, ...params }, auth, timeout),
+  lookup: (endpoint, resource, params, auth, timeout) => appsScriptGet(endpoint, APPS_SCRIPT_LOOKUPS[resource](params), auth, timeout),
+  ping: async (endpoint, timeout) => {
+    const res = await fetch(`${endpoint}?ping=1`, { method: 'GET', cache: 'no-cache', signal: AbortSignal.timeout(timeout) });
+    return res.ok;
+  },
+  isConfigRequest: url => url.searchParams.get('getMap') === 'true'
+});
+
+// ===== REST / JSON =====
+// A conventional JSON API under the endpoint as base URL (mock-server/server.js implements it):
+//   POST /scans, POST /notes, POST /records          GET /config?since=, GET /ping
+//   GET /enroll/status?device_id=, GET /scans/recent?since=, GET /work-orders/:id, GET /manifests/:id
+// The tablet authenticates with X-Device-Id and Authorization: Bearer <token> headers.
+const REST_LOOKUPS = {
+  enrollStatus: params => ['enroll/status', params],
+  recentScans: params => ['scans/recent', params],
+  workOrder: ({ id }) => [`work-orders/${encodeURIComponent(id)}`, {}],
+  manifest: ({ id }) => [`manifests/${encodeURIComponent(id)}`, {}]
+};
+
+function restUrl(endpoint, path, params = {}) {
+  const query = backendQuery(params);
+  return `${endpoint.replace(/\/+$/, '')}/${path}${query ? `?${query}` : ''}`;
+}
+
+function restHeaders(auth, hasBody) {
+  const headers = { Accept: 'application/json' };
+  if (hasBody) headers['Content-Type'] = 'application/json';
+  if (auth && auth.token) {
+    headers['X-Device-Id'] = auth.deviceId;
+    headers.Authorization = `Bearer ${auth.token}`;
+  }
+  return headers;
+}
+
+function restPost(path) {
+  return (endpoint, payload, auth, timeout) => fetchBackendJson(restUrl(endpoint, path), {
+    method: 'POST',
+    headers: restHeaders(auth, true),
+    body: JSON.stringify(payload)
+  }, timeout);
+}
+
+function restGet(endpoint, path, params, auth, timeout) {
+  return fetchBackendJson(restUrl(endpoint, path, params), { method: 'GET', headers: restHeaders(auth, false) }, timeout);
+}
+
+registerBackendAdapter({
+  name: 'rest',
+  label: 'REST / JSON',
+  submitScan: restPost('scans'),
+  submitNote: restPost('notes'),
+  submitRecord: restPost('records'),
+  fetchConfig: (endpoint, params, auth, timeout) => restGet(endpoint, 'config', params, auth, timeout),
+  lookup: (endpoint, resource, params, auth, timeout) => {
+    const [path, query] = REST_LOOKUPS[resource](params);
+    return restGet(endpoint, path, query, auth, timeout);
+  },
+  ping: async (endpoint, timeout) => {
+    const res = await fetch(restUrl(endpoint, 'ping'), { method: 'GET', cache: 'no-cache', signal: AbortSignal.timeout(timeout) });
+    return res.ok;
+  },
+  isConfigRequest: url => /\/config$/.test(url.pathname)
+});
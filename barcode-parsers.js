@@ -0,0 +1,520 @@
+// ===== SeeScan Barcode Parsers =====
+// Each symbology or supplier rule is a named parser with detect(raw, context) and
+// parse(raw, context). parseBarcode() tries them in priority order (lowest first) and
+// reports which one matched, so the parser name can be logged with the scan.
+// Supplier-specific rules register at a lower priority than the generic parser they
+// refine, which keeps them out of the generic code paths.
+//
+// context: { partMap } - the Part Number Map used for GS1 prefix lookups
+
+const BARCODE_PARSERS = [];
+
+function registerParser(parser) {
+  if (!parser.name || typeof parser.detect !== 'function' || typeof parser.parse !== 'function') {
+    throw new Error('Barcode parser needs a name, detect() and parse()');
+  }
+  BARCODE_PARSERS.push(parser);
+  BARCODE_PARSERS.sort((a, b) => a.priority - b.priority);
+}
+
+/**
+ * Parses a raw scan into { part, serial, parser }.
+ * A parser may return null from parse() to pass the scan on to the next one.
+ * Unrecognised formats come back with empty part and serial and parser 'none'.
+ * checkError means a check digit failed and the scan is refused (BAD_CHECK); checkWarning
+ * means it failed but the label is still usable, so the scan goes out flagged.
+ */
+function parseBarcode(s, context = {}) {
+  const raw = String(s).toUpperCase().trim();
+
+  for (const parser of BARCODE_PARSERS) {
+    if (!parser.detect(raw, context)) continue;
+    const result = parser.parse(raw, context);
+    if (result) return { ...result, parser: parser.name };
+  }
+
+  return { part: '', serial: '', parser: 'none' };
+}
+
+// ===== GS1 =====
+// Table-driven Application Identifier decoder. Variable-length fields end at a GS
+// (FNC1, \x1D) or the end of the data, so AIs can come in any order. Accepts raw
+// element strings, AIM symbology identifiers (]C1, ]d2, ]Q3, ]e0) and the bracketed
+// human-readable form, e.g. (01)00812345678901(10)LOT1(21)SER1.
+const GS = '\x1D';
+const GS1_SYMBOLOGY_IDS = [']C1', ']D2', ']Q3', ']E0'];
+
+// fixed: exact data length, max: variable length limit, date: YYMMDD
+const GS1_AIS = {
+  '00': { name: 'sscc', fixed: 18 },
+  '01': { name: 'gtin', fixed: 14 },
+  '02': { name: 'contentGtin', fixed: 14 },
+  '10': { name: 'lot', max: 20 },
+  '11': { name: 'prodDate', fixed: 6, date: true },
+  '12': { name: 'dueDate', fixed: 6, date: true },
+  '13': { name: 'packDate', fixed: 6, date: true },
+  '15': { name: 'bestBefore', fixed: 6, date: true },
+  '16': { name: 'sellBy', fixed: 6, date: true },
+  '17': { name: 'expiry', fixed: 6, date: true },
+  '20': { name: 'variant', fixed: 2 },
+  '21': { name: 'serial', max: 20 },
+  '22': { name: 'cpv', max: 20 },
+  '235': { name: 'tpx', max: 28 },
+  '240': { name: 'additionalId', max: 30 },
+  '241': { name: 'customerPart', max: 30 },
+  '242': { name: 'madeToOrder', max: 6 },
+  '243': { name: 'pcn', max: 20 },
+  '250': { name: 'secondarySerial', max: 30 },
+  '251': { name: 'sourceRef', max: 30 },
+  '254': { name: 'glnExtension', max: 20 },
+  '30': { name: 'varCount', max: 8 },
+  '37': { name: 'count', max: 8 },
+  '400': { name: 'orderNumber', max: 30 },
+  '401': { name: 'ginc', max: 30 },
+  '402': { name: 'gsin', fixed: 17 },
+  '403': { name: 'routingCode', max: 30 },
+  '410': { name: 'shipToGln', fixed: 13 },
+  '411': { name: 'billToGln', fixed: 13 },
+  '412': { name: 'purchasedFromGln', fixed: 13 },
+  '413': { name: 'shipForGln', fixed: 13 },
+  '414': { name: 'locationGln', fixed: 13 },
+  '415': { name: 'invoicingGln', fixed: 13 },
+  '416': { name: 'productionGln', fixed: 13 },
+  '420': { name: 'shipToPostal', max: 20 },
+  '422': { name: 'originCountry', fixed: 3 },
+  '7003': { name: 'expiryTime', fixed: 10 },
+  '8003': { name: 'grai', max: 30 },
+  '8004': { name: 'giai', max: 30 },
+  '8006': { name: 'itip', fixed: 18 },
+  '8020': { name: 'paymentRef', max: 25 },
+  '90': { name: 'internal90', max: 30 }
+};
+
+function findGs1Ai(data, i) {
+  for (const len of [2, 3, 4]) {
+    const ai = data.substr(i, len);
+    if (GS1_AIS[ai]) return { ai, def: GS1_AIS[ai] };
+  }
+  const ai2 = data.substr(i, 2);
+  // 31nn-36nn trade measures: 4-digit AI, 6 digits of data
+  if (/^3[1-6]$/.test(ai2) && /^\d{2}$/.test(data.substr(i + 2, 2))) {
+    const ai = data.substr(i, 4);
+    return { ai, def: { name: 'measure' + ai, fixed: 6 } };
+  }
+  // 91-99 company internal information
+  if (/^9[1-9]$/.test(ai2)) return { ai: ai2, def: { name: 'internal' + ai2, max: 90 } };
+  return null;
+}
+
+// YYMMDD → YYYY-MM-DD. Century per the GS1 General Specifications sliding window;
+// day 00 means the last day of the month.
+function gs1DateToISO(yymmdd) {
+  if (!/^\d{6}$/.test(yymmdd)) return '';
+  const yy = Number(yymmdd.substring(0, 2));
+  const month = Number(yymmdd.substring(2, 4));
+  let day = Number(yymmdd.substring(4, 6));
+  if (month < 1 || month > 12 || day > 31) return '';
+
+  const currentYear = new Date().getFullYear();
+  const diff = yy - (currentYear % 100);
+  let century = Math.floor(currentYear / 100);
+  if (diff >= 51) century--;
+  else if (diff <= -50) century++;
+  const year = century * 100 + yy;
+
+  if (day === 0) day = new Date(year, month, 0).getDate();
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// Mod-10 check digit (weights 3,1 from the right) used by GTIN-8/12/13/14
+function isValidGtin(gtin) {
+  if (!/^\d{8}$|^\d{12,14}$/.test(gtin)) return false;
+  const digits = gtin.split('').map(Number);
+  const check = digits.pop();
+  const sum = digits.reverse().reduce((acc, d, i) => acc + d * (i % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === check;
+}
+
+// Strips any symbology identifier and converts the bracketed form to GS-separated data
+function normalizeGs1(raw) {
+  let data = raw;
+  const symId = GS1_SYMBOLOGY_IDS.find(id => data.startsWith(id));
+  if (symId) data = data.substring(symId.length);
+  if (data.startsWith('(')) data = data.replace(/\((\d{2,4})\)/g, GS + '$1');
+  return data;
+}
+
+// Camera decoders report a GS1 DataMatrix's leading FNC1 as GS
+const isGs1 = raw =>
+  GS1_SYMBOLOGY_IDS.some(id => raw.startsWith(id)) || /^\(\d{2,4}\)/.test(raw) ||
+  raw.startsWith('01') || raw.startsWith(GS);
+
+/**
+ * Decodes a GS1 element string into { elements, fields }.
+ * elements keeps every AI in scan order; fields maps AI names to values, with date
+ * AIs converted to ISO dates. Returns null if the data isn't a valid AI string.
+ */
+function decodeGs1(raw) {
+  const data = normalizeGs1(raw);
+  const elements = [];
+  const fields = {};
+  let i = 0;
+
+  while (i < data.length) {
+    if (data[i] === GS) { i++; continue; }
+
+    const found = findGs1Ai(data, i);
+    if (!found) return null;
+    const { ai, def } = found;
+    i += ai.length;
+
+    let value;
+    if (def.fixed) {
+      value = data.substr(i, def.fixed);
+      if (value.length < def.fixed || value.includes(GS)) return null;
+    } else {
+      const end = data.indexOf(GS, i);
+      value = data.substring(i, end === -1 ? data.length : end);
+      if (!value || value.length > def.max) return null;
+    }
+    i += value.length;
+
+    elements.push({ ai, value });
+    fields[def.name] = def.date ? gs1DateToISO(value) : value;
+  }
+
+  return elements.length ? { elements, fields } : null;
+}
+
+function lookupGs1Part(prefix, context) {
+  const part = (context.partMap || {})[prefix];
+  console.log(`🔍 Map lookup: ${prefix} → ${part || 'NOT FOUND'}`);
+  return part;
+}
+
+registerParser({
+  name: 'gs1',
+  priority: 20,
+  detect: isGs1,
+  parse(raw, context) {
+    const decoded = decodeGs1(raw);
+    if (!decoded || !decoded.fields.gtin) return null;
+
+    const { gtin, serial = '', lot = '', expiry = '', prodDate = '' } = decoded.fields;
+    // No serial usually means a scanner dropped the GS and a variable-length AI ran on
+    // through the rest - gs1-legacy gets a go at it
+    if (!serial) return null;
+
+    // The Part Number Map is keyed by AI 01 + GTIN-14
+    const mapped = lookupGs1Part('01' + gtin, context);
+    const result = { part: mapped || 'UNKNOWN', serial, gtin, lot, expiry, prodDate };
+    // A GTIN the map already knows has always been accepted - flag it, don't block it
+    if (!isValidGtin(gtin)) {
+      result[mapped ? 'checkWarning' : 'checkError'] = `GTIN check digit mismatch (${gtin})`;
+    }
+    return result;
+  }
+});
+
+// Fixed layout used by labels that aren't valid AI strings (and by older scanners
+// that drop GS): 01 + GTIN as the map key, optional 8-char date field (11/17/13),
+// then 21 + serial or the bare serial.
+function splitGs1Legacy(raw) {
+  const data = raw.split(GS).join('');
+  const prefix = data.substring(0, 16);
+  let remainder = data.substring(16);
+
+  if (remainder.startsWith('11') || remainder.startsWith('17') || remainder.startsWith('13')) {
+    remainder = remainder.substring(8);
+  }
+
+  const serial = remainder.startsWith('21') ? remainder.substring(2) : remainder;
+  return { prefix, serial };
+}
+
+registerParser({
+  name: 'gs1-legacy',
+  priority: 30,
+  detect: raw => raw.startsWith('01'),
+  parse(raw, context) {
+    const { prefix, serial } = splitGs1Legacy(raw);
+    const part = lookupGs1Part(prefix, context);
+    return part ? { part, serial } : { part: 'UNKNOWN', serial };
+  }
+});
+
+// PFR labels: GTIN not in the map, part number printed at the start of the serial field
+registerParser({
+  name: 'gs1-pfr',
+  priority: 10,
+  detect(raw, context) {
+    if (!raw.startsWith('01')) return false;
+    const { prefix, serial } = splitGs1Legacy(raw);
+    return !(context.partMap || {})[prefix] && /^PFR[A-Z0-9]{3,10}/.test(serial);
+  },
+  parse(raw, context) {
+    const { prefix, serial } = splitGs1Legacy(raw);
+    lookupGs1Part(prefix, context);
+
+    const part = serial.match(/^(PFR[A-Z0-9]{3,10})/)[1];
+    const rest = serial.substring(part.length);
+    return { part, serial: rest ? rest.replace(/^[^A-Z0-9]+/, '') : part };
+  }
+});
+
+// ===== HIBC =====
+// HIBC LIC (the legacy supplier labels below register ahead of it). Concatenated labels carry everything in one symbol:
+//   +<LIC 4><PCN 1-18><U/M 1>/<secondary><check>
+// Split labels use two symbols, the secondary linked to the primary by its check character:
+//   +<LIC><PCN><U/M><check>        +<secondary><link><check>
+// Secondary data: $ lot, $+ serial, $$ expiry + lot, $$+ expiry + serial, or YYJJJ + lot.
+// Supplemental fields may follow the lot/serial: /S serial, /14D expiry, /16D manufacture date.
+// Every symbol ends in a modulo-43 check character over everything before it.
+const HIBC_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ-. $/+%';
+
+function hibcCheckChar(data) {
+  let sum = 0;
+  for (const ch of data) {
+    const value = HIBC_CHARSET.indexOf(ch);
+    if (value === -1) return null;
+    sum += value;
+  }
+  return HIBC_CHARSET[sum % 43];
+}
+
+/**
+ * Splits a symbol into { body, check, valid }.
+ * A space check character is lost when the scan is trimmed, so a symbol whose own
+ * check works out to a space is accepted with the space restored.
+ */
+function verifyHibcSymbol(symbol) {
+  const body = symbol.slice(0, -1);
+  const check = symbol.slice(-1);
+  if (hibcCheckChar(body) === check) return { body, check, valid: true };
+  if (hibcCheckChar(symbol) === ' ') return { body: symbol, check: ' ', valid: true };
+  return { body, check, valid: false };
+}
+
+// LIC (alpha + 3 alphanumerics), product/catalog number, unit of measure digit
+function decodeHibcPrimary(primary) {
+  const match = primary.match(/^([A-Z][A-Z0-9]{3})([A-Z0-9]{1,18})(\d)$/);
+  return match ? { lic: match[1], pcn: match[2], unitOfMeasure: match[3] } : null;
+}
+
+const yyyymmddToISO = d => /^\d{8}$/.test(d) ? `${d.substring(0, 4)}-${d.substring(4, 6)}-${d.substring(6, 8)}` : '';
+
+function julianToISO(yy, jjj) {
+  const date = new Date(2000 + Number(yy), 0, Number(jjj));
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Reads the expiry date at the start of $$ / $$+ secondary data.
+ * The first character says how the date is written:
+ *   0/1 MMYY (the digit is part of the month), 2 MMDDYY, 3 YYMMDD, 4 YYMMDDHH,
+ *   5 YYJJJ, 6 YYJJJHH, 7 no date
+ * Returns { expiry, length } where length is how many characters were consumed.
+ */
+function parseHibcDate(data) {
+  const flag = data[0];
+  const iso = (yy, mm, dd) => {
+    const day = dd === '00' ? new Date(2000 + Number(yy), Number(mm), 0).getDate() : Number(dd);
+    return `20${yy}-${mm}-${String(day).padStart(2, '0')}`;
+  };
+
+  switch (flag) {
+    case '0':
+    case '1': return { expiry: iso(data.substr(2, 2), data.substr(0, 2), '00'), length: 4 };
+    case '2': return { expiry: iso(data.substr(5, 2), data.substr(1, 2), data.substr(3, 2)), length: 7 };
+    case '3': return { expiry: iso(data.substr(1, 2), data.substr(3, 2), data.substr(5, 2)), length: 7 };
+    case '4': return { expiry: iso(data.substr(1, 2), data.substr(3, 2), data.substr(5, 2)), length: 9 };
+    case '5': return { expiry: julianToISO(data.substr(1, 2), data.substr(3, 3)), length: 6 };
+    case '6': return { expiry: julianToISO(data.substr(1, 2), data.substr(3, 3)), length: 8 };
+    case '7': return { expiry: '', length: 1 };
+    default: return { expiry: '', length: 0 };
+  }
+}
+
+/**
+ * Decodes HIBC secondary data (check and link characters already removed) into
+ * { serial, lot, expiry, prodDate, quantity }.
+ */
+function decodeHibcSecondary(secondary) {
+  const result = { serial: '', lot: '', expiry: '', prodDate: '', quantity: '' };
+  let data = secondary;
+  let isSerial = false;
+
+  if (data.startsWith('$$')) {
+    data = data.substring(2);
+    if (data.startsWith('+')) { isSerial = true; data = data.substring(1); }
+    // 8 and 9 carry a 2- or 5-digit quantity before the date flag
+    if (data[0] === '8') { result.quantity = data.substr(1, 2); data = data.substring(3); }
+    else if (data[0] === '9') { result.quantity = data.substr(1, 5); data = data.substring(6); }
+    const { expiry, length } = parseHibcDate(data);
+    result.expiry = expiry;
+    data = data.substring(length);
+  } else if (data.startsWith('$+')) {
+    isSerial = true;
+    data = data.substring(2);
+    if (data.startsWith('+')) data = data.substring(1);
+  } else if (data.startsWith('$')) {
+    data = data.substring(1);
+  } else if (/^\d{5}/.test(data)) {
+    // Original format: Julian YYJJJ date, then lot
+    result.expiry = julianToISO(data.substr(0, 2), data.substr(2, 3));
+    data = data.substring(5);
+  }
+
+  const [main, ...supplemental] = data.split('/');
+  result[isSerial ? 'serial' : 'lot'] = main;
+  supplemental.forEach(field => {
+    if (field.startsWith('S')) result.serial = field.substring(1);
+    else if (field.startsWith('14D')) result.expiry = yyyymmddToISO(field.substring(3));
+    else if (field.startsWith('16D')) result.prodDate = yyyymmddToISO(field.substring(3));
+  });
+
+  return result;
+}
+
+const isHibc = raw => raw.startsWith('+') && raw.length > 2;
+
+registerParser({
+  name: 'hibc',
+  priority: 20,
+  detect: isHibc,
+  /**
+   * context.hibcPrimary is the primary symbol of a split label, if one was just scanned.
+   * A primary-only symbol returns { hibcPrimary } so the caller can hold it for the
+   * secondary; a secondary with no primary returns { needsPrimary: true }.
+   * A check or link character that doesn't validate sets checkError.
+   */
+  parse(raw, context) {
+    const { body, check, valid } = verifyHibcSymbol(raw);
+    const data = body.substring(1);
+    const checkError = valid ? '' : `HIBC check character mismatch (got ${check}, expected ${hibcCheckChar(body)})`;
+
+    // Secondary symbol of a split label
+    if (data.startsWith('$') || /^\d/.test(data)) {
+      const primary = context.hibcPrimary;
+      if (!primary) return { part: '', serial: '', needsPrimary: true };
+
+      const link = data.slice(-1);
+      const result = {
+        part: primary.pcn,
+        lic: primary.lic,
+        unitOfMeasure: primary.unitOfMeasure,
+        ...decodeHibcSecondary(data.slice(0, -1))
+      };
+      if (checkError) result.checkError = checkError;
+      else if (link !== primary.check) result.checkError = 'HIBC secondary label does not match the scanned primary';
+      return result;
+    }
+
+    const slash = data.indexOf('/');
+    const primary = decodeHibcPrimary(slash === -1 ? data : data.substring(0, slash));
+    if (!primary) return null;
+
+    // Primary symbol of a split label - its check character is the secondary's link character
+    if (slash === -1) {
+      if (checkError) return { part: primary.pcn, serial: '', checkError };
+      return { part: primary.pcn, serial: '', hibcPrimary: { ...primary, check } };
+    }
+
+    // A '/$+' label that doesn't check out is more likely an old supplier layout than a
+    // misread - hibc-legacy reads it the way it always was
+    if (checkError && isLegacyHibc(raw)) return null;
+
+    const result = {
+      part: primary.pcn,
+      lic: primary.lic,
+      unitOfMeasure: primary.unitOfMeasure,
+      ...decodeHibcSecondary(data.substring(slash + 1))
+    };
+    if (checkError) result.checkError = checkError;
+    return result;
+  }
+});
+
+// ===== Legacy '/$+' HIBC labels =====
+// Many suppliers print '/$+'-joined labels that don't decode as HIBC LIC: a B in front of
+// the part number that the LIC would swallow, no leading '+', or a check character that
+// isn't mod-43. Their part numbers are already on the sheet and in duplicate matching, so
+// they keep the split and check-character rules they've always been read with - the two
+// suppliers below with their own tweaks, everyone else through hibc-legacy once the spec
+// decoder has turned them down.
+function splitLegacyHibc(raw) {
+  const [primary, secondary] = raw.split('/$+');
+  let part = primary;
+  let serial = secondary;
+
+  if (part.startsWith('+B')) {
+    part = part.substring(1);
+    if (part.startsWith('B')) part = part.substring(1);
+  }
+  if (serial.startsWith('+')) serial = serial.substring(1);
+
+  return { part, serial };
+}
+
+/**
+ * Strips the trailing check character from a legacy serial.
+ * A trailing letter, symbol or / is always stripped. A trailing digit is only
+ * stripped when it ends a run of 6+ digits (≤5 digits are part of the serial),
+ * unless stripTrailingDigit is false.
+ */
+function stripLegacyHibcCheckChar(serial, { stripTrailingDigit = true } = {}) {
+  if (serial.endsWith('/')) return serial.substring(0, serial.length - 1);
+  if (/[A-Z\-\.\$\+\%]$/.test(serial)) return serial.substring(0, serial.length - 1);
+
+  const trailingDigits = serial.match(/(\d+)$/);
+  if (trailingDigits && trailingDigits[1].length >= 6 && stripTrailingDigit) {
+    return serial.substring(0, serial.length - 1);
+  }
+  return serial;
+}
+
+const isLegacyHibc = raw => raw.includes('/$+');
+
+// P5556100 serials end in a 6+ digit run whose last digit is real data, not a check digit.
+//   +BP5556100/$+1234567W → P5556100 / 1234567   (the hibc decoder would read LIC BP55, part 5610)
+//   +BP5556100/$+12345678 → P5556100 / 12345678
+registerParser({
+  name: 'hibc-p5556100',
+  priority: 10,
+  detect: raw => isLegacyHibc(raw) && splitLegacyHibc(raw).part === 'P5556100',
+  parse(raw) {
+    const { part, serial } = splitLegacyHibc(raw);
+    return { part, serial: stripLegacyHibcCheckChar(serial, { stripTrailingDigit: false }) };
+  }
+});
+
+// 446-prefixed labels wrap the part number in a 3-char prefix and 1-char suffix.
+//   446PUL1231/$+987654 → PUL123 / 98765   (no leading '+', so the hibc decoder rejects it)
+//   446PUL1231/$+12345A → PUL123 / 12345
+registerParser({
+  name: 'hibc-446',
+  priority: 10,
+  detect(raw) {
+    if (!isLegacyHibc(raw)) return false;
+    const { part } = splitLegacyHibc(raw);
+    return part.startsWith('446') && part.length > 4 &&
+      (part.includes('PUL') || part.endsWith('1') || part.endsWith('0'));
+  },
+  parse(raw) {
+    const { part, serial } = splitLegacyHibc(raw);
+    return { part: part.substring(3, part.length - 1), serial: stripLegacyHibcCheckChar(serial) };
+  }
+});
+
+// Any other '/$+' label the spec decoder turned down - no LIC, or a check character that fails.
+//   +BXYZ123/$+12345678 → XYZ123 / 1234567   (the hibc decoder would read LIC BXYZ, part 12, BAD_CHECK)
+//   ABC123/$+98765X     → ABC123 / 98765      (no leading '+', so the hibc decoder rejects it)
+registerParser({
+  name: 'hibc-legacy',
+  priority: 25,
+  detect: isLegacyHibc,
+  parse(raw) {
+    const { part, serial } = splitLegacyHibc(raw);
+    return { part, serial: stripLegacyHibcCheckChar(serial) };
+  }
+});
@@ -0,0 +1,483 @@
+// ===== SeeScan Mock Backend =====
+// A local stand-in for the Google Apps Script backend, so the whole app can be tested on a
+// bench with no Google access. Plain Node, no dependencies:
+//   node mock-server/server.js
+//   PORT=8787             port to listen on
+//   AUTO_APPROVE=0        leave tablets PENDING until approved under /admin (default: approve at once)
+//   CONFIG_FILE=cfg.json  config and fixtures to serve instead of DEFAULT_CONFIG / DEFAULT_FIXTURES
+//   LOW_BATTERY=20        fleet view: battery percent (not charging) flagged LOW_BATTERY
+//   OFFLINE_MINUTES=15    fleet view: minutes without a heartbeat before a tablet is OFFLINE
+//   CURRENT_VERSION=x.y.z fleet view: version below which a tablet is OLD_VERSION (default: newest reported)
+// It serves the app itself at http://localhost:8787/ and speaks both adapter protocols
+// from backend-adapters.js - pick one under ⚙ Settings:
+//   Google Apps Script  http://localhost:8787/exec
+//   REST / JSON         http://localhost:8787/api
+// Everything is held in memory and lost on restart. Bench controls:
+//   GET  /admin/state                          devices, heartbeats, scans, notes and records so far
+//   GET  /admin/fleet                          fleet health page (/admin/fleet.json for the data)
+//   POST /admin/devices/:id/approve|deny|revoke
+//   POST /admin/config                         JSON merged into the config, served as a new version
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.PORT) || 8787;
+const AUTO_APPROVE = process.env.AUTO_APPROVE !== '0';
+const APP_ROOT = path.resolve(__dirname, '..');
+const MAX_BODY = 1024 * 1024;
+const LOW_BATTERY = Number(process.env.LOW_BATTERY) || 20;
+const OFFLINE_MINUTES = Number(process.env.OFFLINE_MINUTES) || 15;
+const CURRENT_VERSION = process.env.CURRENT_VERSION || '';
+
+const DEFAULT_CONFIG = {
+  part_map: {
+    '0110812345000013': 'PFR-1001',
+    '0110812345000020': 'PFR-1002',
+    '0110812345000037': 'PFR-2001'
+  },
+  operators: ['Bench Operator', 'Bench Supervisor'],
+  stations: ['MAIN', 'OP1', 'OP2', 'Testing'],
+  expiry_warning_days: 30,
+  session_idle_minutes: 20,
+  history_retention_days: 30,
+  void_reasons: ['Mis-scan', 'Wrong part', 'Returned', 'Damaged'],
+  void_requires_supervisor: false
+};
+
+const DEFAULT_FIXTURES = {
+  work_orders: {
+    WO1001: [
+      { part_number: 'PFR-1001', quantity: 3 },
+      { part_number: 'PFR-1002', quantity: 2, serials: ['SN2001', 'SN2002'] }
+    ]
+  },
+  manifests: {
+    PO5001: [
+      { part_number: 'PFR-2001', serial_number: 'SN3001' },
+      { part_number: 'PFR-2001', serial_number: 'SN3002' },
+      { part_number: 'PFR-2001', serial_number: 'SN3003' }
+    ]
+  }
+};
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon',
+  '.svg': 'image/svg+xml'
+};
+
+function loadConfigFile() {
+  if (!process.env.CONFIG_FILE) return { config: DEFAULT_CONFIG, fixtures: DEFAULT_FIXTURES };
+  const file = JSON.parse(fs.readFileSync(process.env.CONFIG_FILE, 'utf8'));
+  return {
+    config: { ...DEFAULT_CONFIG, ...(file.config || {}) },
+    fixtures: { ...DEFAULT_FIXTURES, ...(file.fixtures || {}) }
+  };
+}
+
+const loaded = loadConfigFile();
+const state = {
+  config: loaded.config,
+  configVersion: 1,
+  fixtures: loaded.fixtures,
+  devices: {}, // device_id → { device_id, device_name, status, enrollment_code, token, requested_at }
+  heartbeats: {}, // device_id → latest HEARTBEAT record plus received_at
+  scans: [],
+  notes: [],
+  records: []
+};
+
+// ----- Protocol -----
+// Protocol-neutral handlers. Each takes the request body or query params plus the tablet's
+// { deviceId, token } and returns the JSON answer.
+
+function isAuthorized(auth) {
+  const device = auth && state.devices[auth.deviceId];
+  return Boolean(device && device.status === 'APPROVED' && device.token && device.token === auth.token);
+}
+
+function sameUnit(a, b) {
+  return String(a.part_number).toUpperCase() === String(b.part_number).toUpperCase() &&
+    String(a.serial_number).toUpperCase() === String(b.serial_number).toUpperCase();
+}
+
+function requestEnrollment(body) {
+  if (!body.device_id) return { status: 'ERROR', message: 'device_id required' };
+  const device = {
+    device_id: body.device_id,
+    device_name: body.device_name || '',
+    status: 'PENDING',
+    enrollment_code: String(crypto.randomInt(100000, 1000000)),
+    token: null,
+    requested_at: new Date().toISOString()
+  };
+  state.devices[device.device_id] = device;
+  console.log(`🔐 Enrollment request from "${device.device_name}" (${device.device_id}) - code ${device.enrollment_code}`);
+  if (AUTO_APPROVE) setDeviceStatus(device.device_id, 'approve');
+  return { status: 'PENDING', enrollment_code: device.enrollment_code };
+}
+
+function setDeviceStatus(deviceId, change) {
+  const device = state.devices[deviceId];
+  if (!device) return false;
+  if (change === 'approve') {
+    device.status = 'APPROVED';
+    device.token = crypto.randomBytes(24).toString('hex');
+  } else if (change === 'deny') {
+    device.status = 'DENIED';
+    device.token = null;
+  } else if (change === 'revoke') {
+    device.status = 'REVOKED';
+    device.token = null;
+  } else {
+    return false;
+  }
+  console.log(`🔐 ${device.device_id}: ${device.status}`);
+  return true;
+}
+
+function enrollStatus(params) {
+  const device = state.devices[params.device_id];
+  if (!device || device.status === 'REVOKED') return { status: 'DENIED' };
+  return device.status === 'APPROVED' ? { status: 'APPROVED', token: device.token } : { status: device.status };
+}
+
+function submitScan(body, auth) {
+  if (!isAuthorized(auth)) return { status: 'UNAUTHORIZED' };
+  if (body.scan_id && state.scans.some(scan => scan.scan_id === body.scan_id)) return { status: 'DUPLICATE_SCAN_ID' };
+
+  const duplicate = state.scans.some(scan => !scan.voided && scan.status !== 'DUPLICATE' && sameUnit(scan, body));
+  const status = duplicate ? 'DUPLICATE' : 'OK';
+  state.scans.push({ ...body, status, timestamp: new Date().toISOString() });
+  console.log(`📦 ${body.part_number} / ${body.serial_number} → ${status} (${body.operator} @ ${body.station})`);
+  return { status };
+}
+
+function submitNote(body, auth) {
+  if (!isAuthorized(auth)) return { status: 'UNAUTHORIZED' };
+  if (!state.notes.some(note => note.note_id === body.note_id)) {
+    state.notes.push({ ...body, received_at: new Date().toISOString() });
+    console.log(`✎ Note on ${body.scan_id}: ${body.note}`);
+  }
+  return { status: 'OK' };
+}
+
+function submitRecord(body, auth) {
+  if (body.action === 'ENROLL_REQUEST') return requestEnrollment(body);
+  if (!isAuthorized(auth)) return { status: 'UNAUTHORIZED' };
+
+  // Only the latest heartbeat matters - kept per device, not in the record log
+  if (body.action === 'HEARTBEAT') {
+    state.heartbeats[auth.deviceId] = { ...body, received_at: new Date().toISOString() };
+    return { status: 'OK' };
+  }
+  if (body.action === 'VOID') {
+    const scan = state.scans.find(s => s.scan_id === body.scan_id);
+    if (scan) scan.voided = { reason_code: body.reason_code, by: body.operator, at: body.voided_at };
+    else console.warn(`⚠️ VOID for unknown scan ${body.scan_id}`);
+  }
+  state.records.push({ ...body, received_at: new Date().toISOString() });
+  console.log(`🗒 ${body.action} from ${body.operator || body.device_id || 'unknown'}`);
+  return { status: 'OK' };
+}
+
+// Full config, or NOT_MODIFIED when the tablet already holds this version
+function getConfig(params, auth) {
+  if (!isAuthorized(auth)) return { status: 'UNAUTHORIZED' };
+  const version = String(state.configVersion);
+  if (params.since === version) return { status: 'NOT_MODIFIED', version };
+  return { status: 'OK', version, ...state.config };
+}
+
+function lookup(resource, params, auth) {
+  if (resource === 'enrollStatus') return enrollStatus(params);
+  if (!isAuthorized(auth)) return { status: 'UNAUTHORIZED' };
+
+  if (resource === 'recentScans') {
+    const since = params.since || '';
+    return {
+      status: 'OK',
+      as_of: new Date().toISOString(),
+      scans: state.scans
+        .filter(scan => !scan.voided && scan.timestamp >= since)
+        .map(({ part_number, serial_number, scan_id, timestamp }) => ({ part_number, serial_number, scan_id, timestamp }))
+    };
+  }
+  if (resource === 'workOrder') {
+    const lines = state.fixtures.work_orders[String(params.id).toUpperCase()];
+    return lines ? { status: 'OK', lines } : { status: 'NOT_FOUND' };
+  }
+  if (resource === 'manifest') {
+    const serials = state.fixtures.manifests[String(params.id).toUpperCase()];
+    return serials ? { status: 'OK', serials } : { status: 'NOT_FOUND' };
+  }
+  return null;
+}
+
+// ----- Fleet health -----
+
+function compareVersions(a, b) {
+  const pa = String(a || '0').split('.').map(Number);
+  const pb = String(b || '0').split('.').map(Number);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff) return diff;
+  }
+  return 0;
+}
+
+// Every approved or reporting tablet with its latest metrics and what's wrong with it:
+// OFFLINE (no heartbeat lately, or the tablet says it can't reach us), LOW_BATTERY, OLD_VERSION
+function fleetReport() {
+  const now = Date.now();
+  const versions = Object.values(state.heartbeats).map(beat => beat.app_version).filter(Boolean);
+  const latest = CURRENT_VERSION || versions.sort(compareVersions).pop() || '';
+  const ids = new Set([
+    ...Object.values(state.devices).filter(device => device.status === 'APPROVED').map(device => device.device_id),
+    ...Object.keys(state.heartbeats)
+  ]);
+
+  const devices = [...ids].map(id => {
+    const device = state.devices[id] || {};
+    const beat = state.heartbeats[id] || null;
+    const problems = [];
+    if (!beat || now - Date.parse(beat.received_at) > OFFLINE_MINUTES * 60000 || beat.online === false) problems.push('OFFLINE');
+    if (beat && typeof beat.battery_level === 'number' && beat.battery_level < LOW_BATTERY && !beat.battery_charging) problems.push('LOW_BATTERY');
+    if (beat && latest && compareVersions(beat.app_version, latest) < 0) problems.push('OLD_VERSION');
+    return {
+      device_id: id,
+      device_name: device.device_name || '',
+      enrollment: device.status || 'UNKNOWN',
+      last_seen: beat ? beat.received_at : null,
+      problems,
+      heartbeat: beat
+    };
+  });
+  devices.sort((a, b) => b.problems.length - a.problems.length || String(a.device_name).localeCompare(b.device_name));
+
+  return {
+    status: 'OK',
+    generated_at: new Date().toISOString(),
+    latest_version: latest,
+    thresholds: { low_battery: LOW_BATTERY, offline_minutes: OFFLINE_MINUTES },
+    devices
+  };
+}
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function fleetPage() {
+  const report = fleetReport();
+  const rows = report.devices.map(({ device_id, device_name, last_seen, problems, heartbeat: beat }) => {
+    const b = beat || {};
+    const battery = typeof b.battery_level === 'number' ? `${b.battery_level}%${b.battery_charging ? ' ⚡' : ''}` : '';
+    return `<tr class="${problems.length ? 'bad' : ''}">
+      <td>${escapeHtml(device_name)}<br><small>${escapeHtml(device_id)}</small></td>
+      <td>${escapeHtml(problems.join(', ') || 'OK')}</td>
+      <td>${escapeHtml(last_seen)}</td>
+      <td>${escapeHtml(b.app_version)}</td>
+      <td>${escapeHtml(battery)}</td>
+      <td>${escapeHtml(b.online === undefined ? '' : b.online ? 'yes' : 'no')} / ${escapeHtml(b.consecutive_failures)}</td>
+      <td>${escapeHtml(b.queue_pending)} / ${escapeHtml(b.queue_failed)}</td>
+      <td>${escapeHtml(b.map_size)}</td>
+      <td>${escapeHtml(b.last_scan_ok_at)}</td>
+      <td>${escapeHtml(b.operator)} @ ${escapeHtml(b.station)}</td>
+    </tr>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><meta http-equiv="refresh" content="30"><title>SeeScan Fleet</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 20px; color: #111827; }
+  table { border-collapse: collapse; width: 100%; font-size: 13px; }
+  th, td { border-bottom: 1px solid #e5e7eb; padding: 6px 8px; text-align: left; vertical-align: top; }
+  tr.bad td { background: #fee2e2; }
+  small { color: #6b7280; }
+</style></head><body>
+<h2>SeeScan Fleet</h2>
+<p><small>${escapeHtml(report.generated_at)} - latest version ${escapeHtml(report.latest_version || 'unknown')},
+low battery under ${report.thresholds.low_battery}%, offline after ${report.thresholds.offline_minutes} min without a heartbeat</small></p>
+<table>
+<tr><th>Tablet</th><th>Problems</th><th>Last heartbeat</th><th>Version</th><th>Battery</th><th>Online / failures</th>
+<th>Queue pending / failed</th><th>Map</th><th>Last OK scan</th><th>Operator @ station</th></tr>
+${rows || '<tr><td colspan="10">No tablets yet</td></tr>'}
+</table></body></html>`;
+}
+
+// ----- Google Apps Script protocol (/exec) -----
+// One URL: writes are a POST with a raw JSON body, reads are GETs switched on query flags.
+// The token travels as device_id / device_token in the body or query string.
+
+function appsScriptAuth(source) {
+  return { deviceId: source.device_id, token: source.device_token };
+}
+
+function withoutAuth(body) {
+  const { device_token, ...rest } = body;
+  return rest;
+}
+
+function handleAppsScriptPost(body) {
+  const auth = appsScriptAuth(body);
+  const payload = withoutAuth(body);
+  if (!payload.action) return submitScan(payload, auth);
+  if (payload.action === 'CORRECTION') return submitNote(payload, auth);
+  return submitRecord(payload, auth);
+}
+
+function handleAppsScriptGet(query) {
+  const auth = appsScriptAuth(query);
+  if (query.ping) return { status: 'OK' };
+  if (query.getMap) return getConfig(query, auth);
+  if (query.enrollStatus) return lookup('enrollStatus', query, auth);
+  if (query.getRecentScans) return lookup('recentScans', query, auth);
+  if (query.getWorkOrder) return lookup('workOrder', { id: query.getWorkOrder }, auth);
+  if (query.getManifest) return lookup('manifest', { id: query.getManifest }, auth);
+  return { status: 'ERROR', message: 'Unknown request' };
+}
+
+// ----- REST / JSON protocol (/api) -----
+// The token travels in X-Device-Id and Authorization: Bearer headers.
+
+function restAuth(req) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  return { deviceId: req.headers['x-device-id'], token: match ? match[1] : null };
+}
+
+const REST_POSTS = { scans: submitScan, notes: submitNote, records: submitRecord };
+
+function handleRest(method, route, query, body, auth) {
+  if (method === 'POST' && REST_POSTS[route]) return REST_POSTS[route](body, auth);
+  if (method !== 'GET') return null;
+  if (route === 'ping') return { status: 'OK' };
+  if (route === 'config') return getConfig(query, auth);
+  if (route === 'enroll/status') return lookup('enrollStatus', query, auth);
+  if (route === 'scans/recent') return lookup('recentScans', query, auth);
+
+  const [collection, id] = route.split('/');
+  if (id && collection === 'work-orders') return lookup('workOrder', { id: decodeURIComponent(id) }, auth);
+  if (id && collection === 'manifests') return lookup('manifest', { id: decodeURIComponent(id) }, auth);
+  return null;
+}
+
+// ----- Bench controls (/admin) -----
+
+function handleAdmin(method, route, body) {
+  if (method === 'GET' && route === 'state') {
+    return { status: 'OK', ...state };
+  }
+  if (method === 'GET' && route === 'fleet.json') return fleetReport();
+  if (method === 'POST' && route === 'config') {
+    state.config = { ...state.config, ...body };
+    state.configVersion++;
+    console.log(`⚙ Config updated to v${state.configVersion}`);
+    return { status: 'OK', version: String(state.configVersion) };
+  }
+  const match = /^devices\/([^/]+)\/(approve|deny|revoke)$/.exec(route);
+  if (method === 'POST' && match) {
+    return setDeviceStatus(decodeURIComponent(match[1]), match[2]) ? { status: 'OK' } : { status: 'NOT_FOUND' };
+  }
+  return null;
+}
+
+// ----- HTTP -----
+
+function sendJson(res, code, data) {
+  res.writeHead(code, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(data));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY) {
+        reject(new Error('Body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      try {
+        resolve(text ? JSON.parse(text) : {});
+      } catch {
+        reject(new Error('Body is not JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// Serves the app from the repo root so the page, service worker and backend share an origin
+function serveStatic(pathname, res) {
+  const relative = pathname === '/' ? 'index.html' : decodeURIComponent(pathname).replace(/^\/+/, '');
+  const file = path.resolve(APP_ROOT, relative);
+  const hidden = relative.split('/').some(part => part.startsWith('.') || part === 'mock-server');
+  if (hidden || !file.startsWith(APP_ROOT + path.sep)) return sendJson(res, 404, { status: 'NOT_FOUND' });
+
+  fs.readFile(file, (err, data) => {
+    if (err) return sendJson(res, 404, { status: 'NOT_FOUND' });
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream' });
+    res.end(data);
+  });
+}
+
+async function handleRequest(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Device-Id');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  const query = Object.fromEntries(url.searchParams);
+  const body = req.method === 'POST' ? await readBody(req) : {};
+  let answer = null;
+
+  if (url.pathname === '/exec') {
+    answer = req.method === 'POST' ? handleAppsScriptPost(body) : handleAppsScriptGet(query);
+  } else if (url.pathname.startsWith('/api/')) {
+    answer = handleRest(req.method, url.pathname.slice(5).replace(/\/+$/, ''), query, body, restAuth(req));
+  } else if (req.method === 'GET' && url.pathname === '/admin/fleet') {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(fleetPage());
+    return;
+  } else if (url.pathname.startsWith('/admin/')) {
+    answer = handleAdmin(req.method, url.pathname.slice(7).replace(/\/+$/, ''), body);
+  } else if (req.method === 'GET') {
+    serveStatic(url.pathname, res);
+    return;
+  }
+
+  if (!answer) sendJson(res, 404, { status: 'NOT_FOUND', message: `No route for ${req.method} ${url.pathname}` });
+  else sendJson(res, 200, answer);
+}
+
+const server = http.createServer((req, res) => {
+  handleRequest(req, res).catch(err => {
+    console.error(`❌ ${req.method} ${req.url}: ${err.message}`);
+    if (!res.headersSent) sendJson(res, 400, { status: 'ERROR', message: err.message });
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`SeeScan mock backend on http://localhost:${PORT}/`);
+  console.log(`  Apps Script endpoint: http://localhost:${PORT}/exec`);
+  console.log(`  REST endpoint:        http://localhost:${PORT}/api`);
+  console.log(`  Tablets are ${AUTO_APPROVE ? 'approved automatically' : 'approved with POST /admin/devices/:id/approve'}`);
+});
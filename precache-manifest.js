@@ -0,0 +1,16 @@
+// Generated by tools/build-precache.js - do not edit by hand, run it again after changing the shell
+const PRECACHE_REVISION = '64b89235638b';
+const PRECACHE_MANIFEST = [
+  { url: './', revision: '2f352433a09c' },
+  { url: 'index.html', revision: '2f352433a09c' },
+  { url: 'app.js', revision: '4abbbfb6e471' },
+  { url: 'version.js', revision: '24d45376dad1' },
+  { url: 'scan-queue.js', revision: '53a8e00e5722' },
+  { url: 'backend-adapters.js', revision: 'c68a26d1e0e7' },
+  { url: 'barcode-parsers.js', revision: '50018f82c108' },
+  { url: 'vendor/zxing-library-0.21.3.min.js', revision: 'd7cc8f69dd70' },
+  { url: 'manifest.json', revision: '93a521b4a0d5' },
+  { url: 'polytechnic logo 678 x 297.png', revision: 'b4d76959f0c9' },
+  { url: 'icon-192.png', revision: 'a2fb9f1aa7f1' },
+  { url: 'icon-512.png', revision: 'e6ff8ac3d29e' }
+];
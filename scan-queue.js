@@ -0,0 +1,298 @@
+// ===== SeeScan Scan Queue - shared by app.js and service-worker.js =====
+// Scans that can't be delivered are stored in IndexedDB instead of being lost, tagged with
+// operator and station, and replayed oldest-first once connectivity comes back.
+// The device's enrollment token lives here too, so the worker can authenticate replays,
+// as does the index of logged part+serial pairs used to flag duplicates without a round-trip.
+// Scan history is kept in the same database.
+// Loaded with a <script> tag in the page and importScripts() in the service worker,
+// so nothing in here may touch the DOM or localStorage.
+
+const QUEUE_DB_NAME = 'seescan';
+const QUEUE_DB_VERSION = 5;
+const QUEUE_STORE = 'scanQueue';
+const QUEUE_RESULTS_STORE = 'scanResults'; // Delivery results waiting to be applied to page history
+const DEVICE_STORE = 'device'; // Enrollment credentials under the 'credentials' key
+const SCAN_INDEX_STORE = 'scanIndex'; // Recently logged part+serial pairs, keyed 'PART|SERIAL'
+const HISTORY_STORE = 'scanHistory'; // Every scan this tablet made, keyed by scanId
+const QUEUE_SYNC_TAG = 'flush-scan-queue';
+const MAX_REPLAY_ATTEMPTS = 5;
+
+let queueDbPromise = null;
+
+/**
+ * Maps a server response to the status the client acts on.
+ * Every scan carries a client-generated scan_id, so a retry or replay of a scan the
+ * server already logged comes back as DUPLICATE_SCAN_ID. That's our own scan arriving
+ * twice, not a second unit, so it counts as OK.
+ */
+function normalizeScanStatus(data) {
+  const status = (data && data.status) || 'ERROR';
+  return status === 'DUPLICATE_SCAN_ID' ? 'OK' : status;
+}
+
+function openQueueDB() {
+  if (queueDbPromise) return queueDbPromise;
+  queueDbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(QUEUE_DB_NAME, QUEUE_DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(QUEUE_STORE)) {
+        // Auto-increment keys keep the store in scan order
+        const store = db.createObjectStore(QUEUE_STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('operatorStation', ['operator', 'station']);
+      }
+      if (!db.objectStoreNames.contains(QUEUE_RESULTS_STORE)) {
+        db.createObjectStore(QUEUE_RESULTS_STORE, { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains(DEVICE_STORE)) {
+        db.createObjectStore(DEVICE_STORE);
+      }
+      if (!db.objectStoreNames.contains(SCAN_INDEX_STORE)) {
+        const index = db.createObjectStore(SCAN_INDEX_STORE, { keyPath: 'key' });
+        index.createIndex('loggedAt', 'loggedAt');
+      }
+      if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+        const history = db.createObjectStore(HISTORY_STORE, { keyPath: 'scanId' });
+        history.createIndex('timestamp', 'timestamp');
+        history.createIndex('shiftId', 'shiftId');
+      }
+    };
+    req.onsuccess = () => {
+      const db = req.result;
+      // Let a newer page or worker upgrade the schema instead of blocking on this connection
+      db.onversionchange = () => {
+        db.close();
+        queueDbPromise = null;
+      };
+      resolve(db);
+    };
+    req.onerror = () => {
+      queueDbPromise = null;
+      reject(req.error);
+    };
+  });
+  return queueDbPromise;
+}
+
+// Runs a single request against one store and resolves once the transaction commits
+async function withQueueStore(mode, fn, storeName = QUEUE_STORE) {
+  const db = await openQueueDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req ? req.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function addQueuedScan(entry) { return withQueueStore('readwrite', store => store.add(entry)); }
+function getQueuedScans() { return withQueueStore('readonly', store => store.getAll()); }
+function updateQueuedScan(entry) { return withQueueStore('readwrite', store => store.put(entry)); }
+function removeQueuedScan(id) { return withQueueStore('readwrite', store => store.delete(id)); }
+
+// Whether the scan with this scan_id is still waiting in the queue (FAILED included)
+async function isScanQueued(scanId) {
+  return (await getQueuedScans()).some(e => !e.payload.action && e.payload.scan_id === scanId);
+}
+
+function getQueuedScansFor(operator, station) {
+  return withQueueStore('readonly', store => store.index('operatorStation').getAll([operator, station]));
+}
+
+// { deviceId, token, enrolledAt } - token is null until a supervisor approves the tablet
+function getDeviceCredentials() { return withQueueStore('readonly', store => store.get('credentials'), DEVICE_STORE); }
+function saveDeviceCredentials(credentials) {
+  return withQueueStore('readwrite', store => store.put(credentials, 'credentials'), DEVICE_STORE);
+}
+
+async function clearDeviceToken() {
+  const credentials = await getDeviceCredentials();
+  if (credentials && credentials.token) await saveDeviceCredentials({ ...credentials, token: null });
+}
+
+function scanIndexKey(part, serial) { return `${String(part || '').toUpperCase()}|${String(serial || '').toUpperCase()}`; }
+
+function getIndexedScan(part, serial) {
+  return withQueueStore('readonly', store => store.get(scanIndexKey(part, serial)), SCAN_INDEX_STORE);
+}
+
+// rows: [{ part, serial, scanId, loggedAt, queued }] - written in one transaction.
+// queued marks a scan still waiting in the queue, which the sheet doesn't have yet.
+function indexLoggedScans(rows) {
+  if (!rows.length) return Promise.resolve();
+  return withQueueStore('readwrite', store => {
+    let req;
+    rows.forEach(row => { req = store.put({ key: scanIndexKey(row.part, row.serial), ...row }); });
+    return req;
+  }, SCAN_INDEX_STORE);
+}
+
+function indexLoggedScan(payload, { queued = false } = {}) {
+  return indexLoggedScans([{
+    part: payload.part_number,
+    serial: payload.serial_number,
+    scanId: payload.scan_id,
+    loggedAt: new Date().toISOString(),
+    queued
+  }]);
+}
+
+function removeIndexedScan(part, serial) {
+  return withQueueStore('readwrite', store => store.delete(scanIndexKey(part, serial)), SCAN_INDEX_STORE);
+}
+
+// A queued scan that ends up FAILED never reached the sheet, so its pair comes back out -
+// unless the entry has since been taken over by another scan of the same unit
+async function unindexFailedScan(payload) {
+  const indexed = await getIndexedScan(payload.part_number, payload.serial_number);
+  if (indexed && indexed.scanId === payload.scan_id) await removeIndexedScan(payload.part_number, payload.serial_number);
+}
+
+// The index belongs to one backend - emptied when the tablet is pointed at another
+function clearScanIndex() { return withQueueStore('readwrite', store => store.clear(), SCAN_INDEX_STORE); }
+
+// Drops pairs logged before the given ISO timestamp
+function pruneScanIndex(before) {
+  return withQueueStore('readwrite', store => {
+    const req = store.index('loggedAt').openCursor(IDBKeyRange.upperBound(before, true));
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return;
+      cursor.delete();
+      cursor.continue();
+    };
+    return null;
+  }, SCAN_INDEX_STORE);
+}
+
+// ----- Scan history -----
+// { scanId, shiftId, operator, station, part, serial, lot, expiry, prodDate, status, timestamp (ISO) }
+function putHistoryItem(item) { return withQueueStore('readwrite', store => store.put(item), HISTORY_STORE); }
+function getHistoryItem(scanId) { return withQueueStore('readonly', store => store.get(scanId), HISTORY_STORE); }
+
+function putHistoryItems(items) {
+  if (!items.length) return Promise.resolve();
+  return withQueueStore('readwrite', store => {
+    let req;
+    items.forEach(item => { req = store.put(item); });
+    return req;
+  }, HISTORY_STORE);
+}
+
+function getShiftHistory(shiftId) {
+  return withQueueStore('readonly', store => store.index('shiftId').getAll(shiftId), HISTORY_STORE);
+}
+
+/**
+ * Newest-first history between from and to (ISO timestamps, either may be empty),
+ * narrowed by match(item). Walks the timestamp index so a date range doesn't read the whole store.
+ */
+async function queryHistory(from, to, match = () => true) {
+  const db = await openQueueDB();
+  return new Promise((resolve, reject) => {
+    const items = [];
+    const range = from && to ? IDBKeyRange.bound(from, to) : from ? IDBKeyRange.lowerBound(from) : to ? IDBKeyRange.upperBound(to) : null;
+    const tx = db.transaction(HISTORY_STORE, 'readonly');
+    const req = tx.objectStore(HISTORY_STORE).index('timestamp').openCursor(range, 'prev');
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return;
+      if (match(cursor.value)) items.push(cursor.value);
+      cursor.continue();
+    };
+    tx.oncomplete = () => resolve(items);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+// Drops history older than the given ISO timestamp, except scans from shifts still open
+function pruneHistory(before, keepShiftIds = []) {
+  return withQueueStore('readwrite', store => {
+    const req = store.index('timestamp').openCursor(IDBKeyRange.upperBound(before, true));
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return;
+      if (!keepShiftIds.includes(cursor.value.shiftId)) cursor.delete();
+      cursor.continue();
+    };
+    return null;
+  }, HISTORY_STORE);
+}
+
+function getQueueResults() { return withQueueStore('readonly', store => store.getAll(), QUEUE_RESULTS_STORE); }
+function removeQueueResult(id) { return withQueueStore('readwrite', store => store.delete(id), QUEUE_RESULTS_STORE); }
+
+// Records what happened to a queued entry so the page can update history once it's open.
+// Notes and other records carry an action; scans don't.
+function recordQueueResult(entry, status) {
+  return withQueueStore('readwrite', store => store.put({
+    id: entry.id,
+    action: entry.payload.action || '',
+    scanId: entry.payload.scan_id,
+    noteId: entry.payload.note_id || '',
+    operator: entry.operator,
+    status,
+    deliveredAt: new Date().toISOString()
+  }), QUEUE_RESULTS_STORE);
+}
+
+/**
+ * Replays queued scans in the order they were scanned.
+ * sendFn(entry) must resolve with the server status ('OK', 'DUPLICATE', 'OFFLINE', ...).
+ * Stops at the first network failure so later scans never overtake earlier ones.
+ * Records about a FAILED scan (notes, voids) are held back, untouched, until that scan is
+ * retried and delivered - otherwise they'd point at a scan_id the server never got.
+ * Also stops, without using up attempts, when the device isn't authorized.
+ * Scans the server keeps rejecting are marked FAILED after MAX_REPLAY_ATTEMPTS (and recorded as such).
+ * Delivered scans are removed, their status recorded in QUEUE_RESULTS_STORE and
+ * their part+serial indexed in SCAN_INDEX_STORE as logged; FAILED scans are taken out of it.
+ * Returns { delivered, offline, unauthorized }.
+ */
+async function replayScanQueue(sendFn, onChange = () => {}) {
+  let delivered = 0;
+  let offline = false;
+  let unauthorized = false;
+
+  // SENDING entries left over from a closed tab or killed worker are retried as well
+  const queued = await getQueuedScans();
+  const entries = queued.filter(e => e.status !== 'FAILED');
+  const failedScanIds = new Set(queued.filter(e => e.status === 'FAILED' && !e.payload.action).map(e => e.payload.scan_id));
+
+  for (const entry of entries) {
+    if (entry.payload.action && failedScanIds.has(entry.payload.scan_id)) continue;
+
+    entry.status = 'SENDING';
+    await updateQueuedScan(entry);
+    onChange();
+
+    const status = await sendFn(entry);
+
+    if (status === 'OK' || status === 'DUPLICATE') {
+      await removeQueuedScan(entry.id);
+      await recordQueueResult(entry, status);
+      if (!entry.payload.action && entry.payload.serial_number) await indexLoggedScan(entry.payload);
+      delivered++;
+    } else if (status === 'OFFLINE' || status === 'UNAUTHORIZED') {
+      entry.status = 'PENDING';
+      entry.lastError = status;
+      await updateQueuedScan(entry);
+      offline = status === 'OFFLINE';
+      unauthorized = status === 'UNAUTHORIZED';
+      break;
+    } else {
+      entry.attempts++;
+      entry.lastError = status;
+      entry.status = entry.attempts >= MAX_REPLAY_ATTEMPTS ? 'FAILED' : 'PENDING';
+      await updateQueuedScan(entry);
+      if (entry.status === 'FAILED') {
+        if (!entry.payload.action) failedScanIds.add(entry.payload.scan_id);
+        await recordQueueResult(entry, 'FAILED');
+        if (!entry.payload.action && entry.payload.serial_number) await unindexFailedScan(entry.payload);
+      }
+    }
+    onChange();
+  }
+
+  return { delivered, offline, unauthorized };
+}
@@ -1,60 +1,260 @@
-const CACHE_NAME = 'seescan-v851';
-const urlsToCache = [
-  './',
-  'index.html',
-  'app.js',
-  'manifest.json',
-  'polytechnic logo 678 x 297.png',
-  'icon-192.png',
-  'icon-512.png'
-];
+importScripts('version.js', 'precache-manifest.js', 'scan-queue.js', 'backend-adapters.js');
+
+// ===== CACHING =====
+// Requests are routed by kind:
+//   app shell (precache-manifest.js) - stale-while-revalidate: served from cache at once,
+//       revalidated in the background against this worker's manifest. A file that no longer
+//       matches means a deploy - it isn't cached here but starts an update check, so the new
+//       version arrives as a whole through its own worker and the update banner
+//   images - cache-first, within IMAGE_MAX_BYTES per image and IMAGE_MAX_ENTRIES in all
+//   config (Part Number Map, operators, stations) - network-first, the last full config
+//       answered from cache when the backend is down
+//   other backend calls and anything else - network only, never cached
+// The shell cache is named after the manifest revision, so a deploy that changes any shell
+// file gets a fresh cache once the new worker activates.
+const SHELL_CACHE = `seescan-shell-${PRECACHE_REVISION}`;
+const IMAGE_CACHE = 'seescan-images';
+const CONFIG_CACHE = 'seescan-config';
+const IMAGE_MAX_BYTES = 1024 * 1024;
+const IMAGE_MAX_ENTRIES = 50;
+
+const SCOPE = self.registration.scope;
+const SHELL_INDEX = new URL('index.html', SCOPE).href;
+// Shell URL → the revision tools/build-precache.js hashed for it
+const SHELL_REVISIONS = new Map(PRECACHE_MANIFEST.map(entry => [new URL(entry.url, SCOPE).href, entry.revision]));
+let updateCheck = null;
+
+// No skipWaiting() here - a new version waits until the page sees the scanner idle and
+// sends SKIP_WAITING, so a deploy never swaps app.js under an operator mid-scan.
+// The exception is a tablet still on 9.18 or earlier: its page has no update banner to send
+// SKIP_WAITING and a kiosk tab is never closed, so this worker would wait forever. Those
+// workers named their cache seescan-v<version>; 9.19's seescan-v9190 came with the banner.
+// The old page keeps running until it's next loaded, as it did under the old worker.
+// The revision query gets past any HTTP cache between us and the server.
+const BANNER_WORKER_CACHE = 'seescan-v9190';
+
+async function precacheShell() {
+  const cache = await caches.open(SHELL_CACHE);
+  await Promise.all(PRECACHE_MANIFEST.map(async (entry) => {
+    const url = new URL(entry.url, SCOPE);
+    url.searchParams.set('__rev', entry.revision);
+    const response = await fetch(url, { cache: 'reload' });
+    if (!response.ok) throw new Error(`Precache of ${entry.url} failed: ${response.status}`);
+    await cache.put(new URL(entry.url, SCOPE).href, response);
+  }));
+}
 
 self.addEventListener('install', (event) => {
-  event.waitUntil(
-    caches.open(CACHE_NAME)
-      .then((cache) => cache.addAll(urlsToCache))
-      .then(() => self.skipWaiting())
-  );
+  event.waitUntil(precacheShell().then(async () => {
+    const cacheNames = await caches.keys();
+    if (cacheNames.some(name => /^seescan-v\d+$/.test(name) && name !== BANNER_WORKER_CACHE)) {
+      console.log('Replacing a worker from before the update banner - activating now');
+      await self.skipWaiting();
+    }
+  }));
 });
 
 self.addEventListener('activate', (event) => {
+  const keep = [SHELL_CACHE, IMAGE_CACHE, CONFIG_CACHE];
   event.waitUntil(
-    caches.keys().then((cacheNames) => {
-      return Promise.all(
-        cacheNames.map((cacheName) => {
-          if (cacheName !== CACHE_NAME) {
-            return caches.delete(cacheName);
-          }
-        })
-      );
-    }).then(() => self.clients.claim())
+    caches.keys()
+      .then(cacheNames => Promise.all(cacheNames.filter(name => !keep.includes(name)).map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
   );
 });
 
+function isShellRequest(request, url) {
+  if (url.origin !== self.location.origin) return false;
+  return request.mode === 'navigate' || SHELL_REVISIONS.has(url.origin + url.pathname);
+}
+
+// Same hash as tools/build-precache.js
+async function shellRevision(response) {
+  const digest = await crypto.subtle.digest('SHA-256', await response.arrayBuffer());
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('').slice(0, 12);
+}
+
+// One check at a time, however many shell files turn out to have changed
+function checkForUpdate() {
+  if (!updateCheck) {
+    updateCheck = self.registration.update()
+      .catch(err => console.log('Update check failed:', err.message))
+      .finally(() => { updateCheck = null; });
+  }
+  return updateCheck;
+}
+
+async function staleWhileRevalidate(event, url) {
+  const { request } = event;
+  const cache = await caches.open(SHELL_CACHE);
+  // Navigations to the start URL or index.html share one entry; other paths fall back to it offline
+  const revision = SHELL_REVISIONS.get(url.origin + url.pathname);
+  const key = request.mode === 'navigate' ? SHELL_INDEX : url.origin + url.pathname;
+  const cached = await cache.match(key);
+
+  // Only what this worker's manifest describes goes in its cache, so pages it serves never
+  // mix files from two versions and PRECACHE_REVISION stays true to the cache's contents
+  const refresh = fetch(request).then(async (response) => {
+    if (!revision || !response.ok || response.type !== 'basic' || response.redirected) return response;
+    if (await shellRevision(response.clone()) === revision) {
+      await cache.put(key, response.clone());
+    } else {
+      await checkForUpdate();
+    }
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh;
+}
+
+async function trimCache(cacheName, maxEntries) {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  // Keys come back oldest first
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
+
+async function imageCacheFirst(event) {
+  const { request } = event;
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  // Opaque (no-cors) images hide their size, so they aren't kept
+  if (response.ok && (response.type === 'basic' || response.type === 'cors')) {
+    const copy = response.clone();
+    event.waitUntil((async () => {
+      const blob = await copy.blob();
+      if (blob.size > IMAGE_MAX_BYTES) return;
+      const cache = await caches.open(IMAGE_CACHE);
+      await cache.put(request, new Response(blob, { status: copy.status, headers: copy.headers }));
+      await trimCache(IMAGE_CACHE, IMAGE_MAX_ENTRIES);
+    })().catch(() => {}));
+  }
+  return response;
+}
+
+function isConfigRequest(request, url) {
+  // Every backend adapter sends its calls with cache: 'no-cache'
+  return request.cache === 'no-cache' && Object.values(BACKEND_ADAPTERS).some(adapter => adapter.isConfigRequest(url));
+}
+
+/**
+ * Network-first for config. Each full config that comes back is kept per endpoint (the token and
+ * ?since= stay out of the key) with cached_at added, which app.js shows as the map's age.
+ * Only a request without ?since= gets the cached copy when the backend is down - a page that
+ * sends since already has its own config, and an older one from here would roll it back.
+ */
+async function configNetworkFirst(request, url) {
+  const key = `${url.origin}${url.pathname}?seescan-config`;
+  try {
+    const response = await fetch(request);
+    if (response.status < 500) {
+      const data = response.ok ? await response.clone().json().catch(() => null) : null;
+      if (data && data.status === 'OK' && !data.delta) {
+        const cache = await caches.open(CONFIG_CACHE);
+        await cache.put(key, new Response(JSON.stringify({ ...data, cached_at: new Date().toISOString() }), {
+          headers: { 'Content-Type': 'application/json' }
+        }));
+      }
+      return response;
+    }
+    throw new Error(`Server returned ${response.status}`);
+  } catch (err) {
+    const cached = url.searchParams.has('since') ? null : await caches.match(key, { cacheName: CONFIG_CACHE });
+    if (cached) {
+      console.log('Backend unreachable - serving cached config:', err.message);
+      return cached;
+    }
+    return Response.error();
+  }
+}
+
 self.addEventListener('fetch', (event) => {
-  // Don't cache API requests
-  if (event.request.url.includes('script.google.com')) return;
-  if (event.request.method !== 'GET') return;
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (isConfigRequest(request, url)) {
+    event.respondWith(configNetworkFirst(request, url));
+  } else if (request.cache === 'no-cache' || url.hostname === 'script.google.com') {
+    // Other backend calls go straight to the network
+  } else if (request.destination === 'image') {
+    event.respondWith(imageCacheFirst(event));
+  } else if (isShellRequest(request, url)) {
+    event.respondWith(staleWhileRevalidate(event, url));
+  }
+});
 
-  event.respondWith(
-    caches.match(event.request)
-      .then((response) => {
-        if (response) return response;
+// ===== QUEUED SCAN DELIVERY =====
+// The worker owns delivery of queued scans so they still go out when the tab is
+// closed or the tablet is asleep. Results are posted back to any open SeeScan tabs.
+const SEND_TIMEOUT = 25000; // Entries queued before per-device timeouts carry none of their own
+let flushPromise = null;
 
-        const fetchRequest = event.request.clone();
+async function postScan(entry) {
+  // No token goes out as no auth - a backend that enrolls devices answers UNAUTHORIZED
+  const credentials = await getDeviceCredentials();
 
-        return fetch(fetchRequest).then((response) => {
-          if (!response || response.status !== 200 || response.type !== 'basic') {
-            return response;
-          }
+  try {
+    // Entries are sent through the adapter, endpoint and timeout they were queued with. Ones
+    // queued before the endpoint was stored have none - a fetch(undefined) would count as
+    // OFFLINE and hold up every scan behind them.
+    const endpoint = entry.endpoint || DEFAULT_ENDPOINT;
+    const data = await submitToBackend(getBackendAdapter(entry.adapter), endpoint, entry.payload, credentials, entry.timeout || SEND_TIMEOUT);
+    const status = normalizeScanStatus(data);
+    // Revoked - drop the token; the page sends the operator back to enrollment
+    if (status === 'UNAUTHORIZED') await clearDeviceToken();
+    return status;
+  } catch (e) {
+    // A BackendError means the server answered, just not with a usable result
+    return e.name === 'BackendError' ? 'ERROR' : 'OFFLINE';
+  }
+}
 
-          const responseToCache = response.clone();
-          caches.open(CACHE_NAME).then((cache) => {
-            cache.put(event.request, responseToCache);
-          });
+async function notifyClients(message) {
+  const clientList = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  clientList.forEach(client => client.postMessage(message));
+}
 
-          return response;
-        });
+// Only one replay at a time, however many sync events and messages arrive
+function flushQueue() {
+  if (!flushPromise) {
+    flushPromise = replayScanQueue(postScan, () => notifyClients({ type: 'QUEUE_CHANGED' }))
+      .then(async (result) => {
+        await notifyClients({ type: 'QUEUE_FLUSHED', ...result });
+        return result;
       })
-  );
+      .finally(() => { flushPromise = null; });
+  }
+  return flushPromise;
+}
+
+self.addEventListener('sync', (event) => {
+  if (event.tag !== QUEUE_SYNC_TAG) return;
+  event.waitUntil(flushQueue().then(({ offline }) => {
+    // Rejecting asks the browser to schedule another sync attempt later
+    if (offline) throw new Error('Queue flush stopped - still offline');
+  }));
+});
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag !== QUEUE_SYNC_TAG) return;
+  event.waitUntil(flushQueue());
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'FLUSH_QUEUE') {
+    event.waitUntil(flushQueue());
+  }
+  if (event.data && event.data.type === 'GET_VERSION' && event.ports[0]) {
+    event.ports[0].postMessage({ version: APP_VERSION, buildDate: APP_BUILD_DATE });
+  }
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
 });
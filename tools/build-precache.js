@@ -0,0 +1,48 @@
+// ===== SeeScan Precache Manifest Builder =====
+// Hashes the app shell and writes precache-manifest.js, which service-worker.js imports.
+// Run it before every deploy (plain Node, no dependencies):
+//   node tools/build-precache.js
+// Any changed file changes the manifest, so browsers see a new service worker, precache the
+// new shell under a new cache name and offer the update - no cache name to bump by hand.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const APP_ROOT = path.resolve(__dirname, '..');
+const OUTPUT = path.join(APP_ROOT, 'precache-manifest.js');
+
+// Everything the app needs to start offline. The service worker itself isn't listed - the
+// browser keeps that, and the scripts it imports, up to date on its own.
+const SHELL_FILES = [
+  'index.html',
+  'app.js',
+  'version.js',
+  'scan-queue.js',
+  'backend-adapters.js',
+  'barcode-parsers.js',
+  'vendor/zxing-library-0.21.3.min.js',
+  'manifest.json',
+  'polytechnic logo 678 x 297.png',
+  'icon-192.png',
+  'icon-512.png'
+];
+
+function hash(content) {
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, 12);
+}
+
+const entries = SHELL_FILES.map(file => ({ url: file, revision: hash(fs.readFileSync(path.join(APP_ROOT, file))) }));
+// The start URL is index.html under another name
+entries.unshift({ url: './', revision: entries[0].revision });
+const revision = hash(entries.map(entry => `${entry.url}@${entry.revision}`).join('\n'));
+
+const lines = entries.map(entry => `  { url: '${entry.url}', revision: '${entry.revision}' }`);
+fs.writeFileSync(OUTPUT, `// Generated by tools/build-precache.js - do not edit by hand, run it again after changing the shell
+const PRECACHE_REVISION = '${revision}';
+const PRECACHE_MANIFEST = [
+${lines.join(',\n')}
+];
+`);
+
+console.log(`precache-manifest.js: ${entries.length} entries, revision ${revision}`);
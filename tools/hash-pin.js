@@ -0,0 +1,30 @@
+// ===== SeeScan PIN Hasher =====
+// Prints the pin_salt / pin_iterations / pin_hash fields for an operator in the CONFIG tab
+// (plain Node, no dependencies):
+//   node tools/hash-pin.js <PIN> [iterations]
+// The hash is PBKDF2-SHA256 with a random salt per PIN, so the config cached on a tablet
+// can't be turned back into PINs with a lookup table. Every PIN typed at a tablet is checked
+// against each operator's salt, so more iterations cost sign-in time on slow tablets.
+
+const crypto = require('crypto');
+
+const DEFAULT_ITERATIONS = 100000;
+const MIN_ITERATIONS = 10000; // Same floor as app.js
+
+const [pin, iterationsArg] = process.argv.slice(2);
+const iterations = iterationsArg ? Number(iterationsArg) : DEFAULT_ITERATIONS;
+
+if (!pin || pin.length < 4) {
+  console.error('Usage: node tools/hash-pin.js <PIN of 4+ characters> [iterations]');
+  process.exit(1);
+}
+if (!Number.isInteger(iterations) || iterations < MIN_ITERATIONS) {
+  console.error(`Iterations must be a whole number of at least ${MIN_ITERATIONS}`);
+  process.exit(1);
+}
+
+// The salt is used as text, the way app.js reads it back from the config
+const salt = crypto.randomBytes(16).toString('hex');
+const hash = crypto.pbkdf2Sync(pin, salt, iterations, 32, 'sha256').toString('hex');
+
+console.log(JSON.stringify({ pin_salt: salt, pin_iterations: iterations, pin_hash: hash }, null, 2));
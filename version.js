@@ -0,0 +1,7 @@
+// ===== SeeScan Version =====
+// The one place the version and build date live. The page shows them in the footer; the
+// service worker reports it while an update waits.
+// Loaded with a <script> tag in the page and importScripts() in the service worker.
+
+const APP_VERSION = '9.20.0';
+const APP_BUILD_DATE = '2026-10-19';